@@ -16,7 +16,15 @@ module.exports = {
       { text: '/client', link: 'https://client.reststate.codingitwrong.com' },
       { text: 'home', link: 'https://reststate.codingitwrong.com' },
     ],
-    sidebar: ['/', 'tutorial', 'installation', 'reading-data', 'writing-data'],
+    sidebar: [
+      '/',
+      'tutorial',
+      'installation',
+      'reading-data',
+      'writing-data',
+      'persistence',
+      'schemas',
+    ],
     displayAllHeaders: true,
   },
 };
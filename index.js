@@ -1,3 +1,21 @@
-import { resourceModule, mapResourceModules } from './src/reststate-vuex';
+import {
+  resourceModule,
+  mapResourceModules,
+  documentModule,
+} from './src/reststate-vuex';
+import {
+  createPersistencePlugin,
+  localStorageBackend,
+  indexedDBBackend,
+  memoryBackend,
+} from './src/persistence';
 
-export { resourceModule, mapResourceModules };
+export {
+  resourceModule,
+  mapResourceModules,
+  documentModule,
+  createPersistencePlugin,
+  localStorageBackend,
+  indexedDBBackend,
+  memoryBackend,
+};
@@ -0,0 +1,39 @@
+import { extractData, extractErrorResponse } from './responses';
+
+// requests to the URLs a server gives in a record's links, for APIs whose
+// routes differ from the conventional `widgets/1`
+
+// options are sent the way ResourceClient sends them; a link that already
+// has a query string gets them appended to it
+const withOptions = (url, options = {}) => {
+  const query = Object.keys(options)
+    .filter(key => typeof options[key] !== 'undefined')
+    .map(key => `${key}=${encodeURIComponent(options[key])}`)
+    .join('&');
+  if (!url.includes('?')) {
+    return `${url}?${query}`;
+  }
+  return query ? `${url}&${query}` : url;
+};
+
+export default function linkClient({ httpClient }) {
+  return {
+    get(url, options) {
+      return httpClient
+        .get(withOptions(url, options))
+        .then(extractData)
+        .catch(extractErrorResponse);
+    },
+
+    update(url, record) {
+      return httpClient
+        .patch(url, { data: record })
+        .then(extractData)
+        .catch(extractErrorResponse);
+    },
+
+    delete(url) {
+      return httpClient.delete(url).catch(extractErrorResponse);
+    },
+  };
+}
@@ -0,0 +1,185 @@
+/* global window */
+
+const DEFAULT_KEY = 'reststate-vuex';
+
+const PERSISTED_FIELDS = [
+  'records',
+  'related',
+  'filtered',
+  'page',
+  'links',
+  'queue',
+];
+
+const localStorageBackend = (storage = window.localStorage) => ({
+  getItem: key => storage.getItem(key),
+  setItem: (key, value) => storage.setItem(key, value),
+  removeItem: key => storage.removeItem(key),
+});
+
+const indexedDBBackend = ({
+  databaseName = DEFAULT_KEY,
+  storeName = 'modules',
+  indexedDB = window.indexedDB,
+} = {}) => {
+  let database;
+
+  const openDatabase = () => {
+    if (!database) {
+      database = new Promise((resolve, reject) => {
+        const request = indexedDB.open(databaseName, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(storeName);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return database;
+  };
+
+  const run = (mode, operation) =>
+    openDatabase().then(
+      db =>
+        new Promise((resolve, reject) => {
+          const objectStore = db
+            .transaction(storeName, mode)
+            .objectStore(storeName);
+          const request = operation(objectStore);
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => reject(request.error);
+        }),
+    );
+
+  return {
+    getItem: key =>
+      run('readonly', objectStore => objectStore.get(key)).then(value =>
+        value === undefined ? null : value,
+      ),
+    setItem: (key, value) =>
+      run('readwrite', objectStore => objectStore.put(value, key)),
+    removeItem: key => run('readwrite', objectStore => objectStore.delete(key)),
+  };
+};
+
+const memoryBackend = (items = {}) => ({
+  getItem: key =>
+    Object.prototype.hasOwnProperty.call(items, key) ? items[key] : null,
+  setItem: (key, value) => {
+    items[key] = value;
+  },
+  removeItem: key => {
+    delete items[key];
+  },
+});
+
+const parseSnapshot = serialized => {
+  try {
+    return serialized ? JSON.parse(serialized) : null;
+  } catch (e) {
+    return null;
+  }
+};
+
+const pickPersistedFields = moduleState =>
+  PERSISTED_FIELDS.reduce(
+    (acc, field) => Object.assign(acc, { [field]: moduleState[field] }),
+    {},
+  );
+
+const createPersistencePlugin = ({
+  modules,
+  storage = localStorageBackend(),
+  key = DEFAULT_KEY,
+  version = 1,
+  migrate,
+}) => {
+  const plugin = store => {
+    // modules that change before the stored data has been read hold newer
+    // data than the stored copy, so they are not overwritten by it
+    const changedModules = new Set();
+    let rehydrated = false;
+    let saveScheduled = false;
+
+    const moduleForMutation = ({ type }) =>
+      modules.find(name => type.startsWith(`${name}/`));
+
+    // a module can be registered after the plugin is installed, so names
+    // without a module yet are skipped rather than rejected
+    const registeredModules = () => modules.filter(name => store.state[name]);
+
+    const buildSnapshot = () => ({
+      version,
+      modules: registeredModules().reduce(
+        (acc, name) =>
+          Object.assign(acc, {
+            [name]: pickPersistedFields(store.state[name]),
+          }),
+        {},
+      ),
+    });
+
+    const save = () => {
+      saveScheduled = false;
+      // persisting is best-effort: a full or unavailable storage backend
+      // shouldn't break the app
+      return Promise.resolve()
+        .then(() => storage.setItem(key, JSON.stringify(buildSnapshot())))
+        .catch(() => {});
+    };
+
+    store.subscribe(mutation => {
+      const name = moduleForMutation(mutation);
+      if (!name || mutation.type === `${name}/REHYDRATE`) {
+        return;
+      }
+      if (!rehydrated) {
+        changedModules.add(name);
+        return;
+      }
+      // batch the mutations committed by one action into one write
+      if (!saveScheduled) {
+        saveScheduled = true;
+        Promise.resolve().then(save);
+      }
+    });
+
+    const migrateSnapshot = snapshot => {
+      if (!snapshot) {
+        return null;
+      } else if (snapshot.version === version) {
+        return snapshot.modules;
+      } else if (migrate) {
+        return migrate(snapshot.modules, snapshot.version);
+      }
+      return null;
+    };
+
+    plugin.rehydrated = Promise.resolve()
+      .then(() => storage.getItem(key))
+      .then(parseSnapshot, () => null)
+      .then(migrateSnapshot)
+      .then(storedModules => {
+        if (storedModules) {
+          registeredModules()
+            .filter(name => storedModules[name] && !changedModules.has(name))
+            .forEach(name => {
+              store.commit(`${name}/REHYDRATE`, storedModules[name]);
+            });
+        }
+        rehydrated = true;
+        if (changedModules.size > 0) {
+          return save();
+        }
+      });
+  };
+
+  return plugin;
+};
+
+export {
+  createPersistencePlugin,
+  localStorageBackend,
+  indexedDBBackend,
+  memoryBackend,
+};
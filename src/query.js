@@ -0,0 +1,105 @@
+import deepEquals from './deepEquals';
+
+const linkageIds = (record, relationship) => {
+  const { data } = record.relationships[relationship];
+  if (Array.isArray(data)) {
+    return data.map(({ id }) => String(id));
+  }
+  return data ? [String(data.id)] : [];
+};
+
+const expectedIds = value => {
+  if (value === null) {
+    return [];
+  }
+  const values = Array.isArray(value) ? value : [value];
+  return values.map(item =>
+    String(item && typeof item === 'object' ? item.id : item),
+  );
+};
+
+// a key names a relationship when the record has linkage for it; otherwise
+// it names an attribute, or the record's id
+const matchesField = (record, key, expected) => {
+  const relationships = record.relationships || {};
+  if (relationships[key] && 'data' in relationships[key]) {
+    const ids = linkageIds(record, key);
+    if (typeof expected === 'function') {
+      return Boolean(expected(ids));
+    }
+    if (expected === null) {
+      return ids.length === 0;
+    }
+    return expectedIds(expected).some(id => ids.includes(id));
+  }
+
+  const value =
+    key === 'id' ? record.id : record.attributes && record.attributes[key];
+  if (typeof expected === 'function') {
+    return Boolean(expected(value));
+  }
+  if (Array.isArray(expected)) {
+    return expected.some(item => deepEquals(item, value));
+  }
+  return deepEquals(expected, value);
+};
+
+const matchesFilter = filter => {
+  if (typeof filter === 'function') {
+    return filter;
+  }
+  const keys = Object.keys(filter);
+  return record => keys.every(key => matchesField(record, key, filter[key]));
+};
+
+const fieldValue = (record, field) => {
+  const value =
+    field === 'id' ? record.id : record.attributes && record.attributes[field];
+  return value instanceof Date ? value.getTime() : value;
+};
+
+// values that are missing sort last, whichever the direction
+const compareBy = sort => {
+  const fields = sort
+    .split(',')
+    .map(field => field.trim())
+    .filter(Boolean)
+    .map(field =>
+      field.startsWith('-')
+        ? { name: field.slice(1), direction: -1 }
+        : { name: field, direction: 1 },
+    );
+
+  return (a, b) => {
+    for (const { name, direction } of fields) {
+      const x = fieldValue(a, name);
+      const y = fieldValue(b, name);
+      const xMissing = x === null || x === undefined;
+      const yMissing = y === null || y === undefined;
+      if (xMissing || yMissing) {
+        if (xMissing !== yMissing) {
+          return xMissing ? 1 : -1;
+        }
+      } else if (x < y) {
+        return -direction;
+      } else if (x > y) {
+        return direction;
+      }
+    }
+    return 0;
+  };
+};
+
+export default function queryRecords(
+  records,
+  { filter, sort, offset = 0, limit } = {},
+) {
+  const results = filter ? records.filter(matchesFilter(filter)) : [...records];
+  if (sort) {
+    results.sort(compareBy(sort));
+  }
+  return results.slice(
+    offset,
+    limit === undefined ? undefined : offset + limit,
+  );
+}
@@ -0,0 +1,49 @@
+import { extractData, extractErrorResponse } from './responses';
+
+// requests for the JSON:API relationship endpoints, which change a record's
+// linkage without sending the whole record:
+// https://jsonapi.org/format/#crud-updating-relationships
+
+export default function relationshipClient({ name, httpClient }) {
+  // a url that is passed, like the relationship's self link, is used instead
+  const relationshipUrl = (id, relationship) =>
+    `${name}/${id}/relationships/${relationship}`;
+
+  return {
+    load({ id, relationship, url = relationshipUrl(id, relationship) }) {
+      return httpClient.get(url).then(extractData).catch(extractErrorResponse);
+    },
+
+    add({ id, relationship, data, url = relationshipUrl(id, relationship) }) {
+      return httpClient
+        .post(url, { data })
+        .then(extractData)
+        .catch(extractErrorResponse);
+    },
+
+    remove({
+      id,
+      relationship,
+      data,
+      url = relationshipUrl(id, relationship),
+    }) {
+      // axios only sends a body with a DELETE when it's passed as config.data
+      return httpClient
+        .delete(url, { data: { data } })
+        .then(extractData)
+        .catch(extractErrorResponse);
+    },
+
+    replace({
+      id,
+      relationship,
+      data,
+      url = relationshipUrl(id, relationship),
+    }) {
+      return httpClient
+        .patch(url, { data })
+        .then(extractData)
+        .catch(extractErrorResponse);
+    },
+  };
+}
@@ -0,0 +1,14 @@
+// the body of a successful response, and the response of a failed one, so
+// that callers see the same values as with ResourceClient
+
+const extractData = response => response.data;
+
+const extractErrorResponse = error => {
+  if (error && error.response) {
+    throw error.response;
+  } else {
+    throw error;
+  }
+};
+
+export { extractData, extractErrorResponse };
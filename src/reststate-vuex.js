@@ -1,17 +1,106 @@
 import { ResourceClient } from '@reststate/client';
 import deepEquals from './deepEquals';
+import relationshipClient from './relationshipClient';
+import linkClient from './linkClient';
+import queryRecords from './query';
 
 const STATUS_INITIAL = 'INITIAL';
 const STATUS_LOADING = 'LOADING';
 const STATUS_ERROR = 'ERROR';
 const STATUS_SUCCESS = 'SUCCESS';
 
+const CACHE_FIRST = 'cache-first';
+const NETWORK_ONLY = 'network-only';
+
+// temporary IDs can outlive the page when queued writes are persisted, so
+// they include the time the page was loaded to keep them unique
+const temporaryIdPrefix = `temp-${Date.now().toString(36)}`;
+let temporaryIdCount = 0;
+
+const temporaryId = () => {
+  temporaryIdCount += 1;
+  return `${temporaryIdPrefix}-${temporaryIdCount}`;
+};
+
+const cloneDeep = value => {
+  if (Array.isArray(value)) {
+    return value.map(cloneDeep);
+  } else if (value instanceof Date) {
+    return new Date(value.getTime());
+  } else if (value && typeof value === 'object') {
+    return Object.keys(value).reduce(
+      (acc, key) => Object.assign(acc, { [key]: cloneDeep(value[key]) }),
+      {},
+    );
+  }
+  return value;
+};
+
+const recordIndexes = new WeakMap();
+
+// looking records up by ID is done through a map kept alongside each records
+// array, built the first time the array is searched and then kept in sync by
+// the mutations that change the array in place
+const indexFor = records => {
+  let index = recordIndexes.get(records);
+  if (!index) {
+    index = new Map();
+    records.forEach(record => {
+      const key = String(record.id);
+      if (!index.has(key)) {
+        index.set(key, record);
+      }
+    });
+    recordIndexes.set(records, index);
+  }
+  return index;
+};
+
+const findRecord = (records, id) => {
+  if (id === null || id === undefined) {
+    return undefined;
+  }
+  return indexFor(records).get(String(id));
+};
+
+const isPlainObject = value =>
+  Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// a response with sparse fieldsets only holds some of a record's fields, so
+// these members are merged per key instead of replacing the loaded ones
+const MERGED_MEMBERS = ['attributes', 'relationships', 'meta', 'links'];
+
+const mergeMember = (member, previous, value) => {
+  if (member !== 'relationships') {
+    return { ...previous, ...value };
+  }
+  return Object.keys(value).reduce(
+    (acc, name) =>
+      Object.assign(acc, { [name]: { ...previous[name], ...value[name] } }),
+    { ...previous },
+  );
+};
+
+const mergeRecord = (existingRecord, newRecord) =>
+  Object.keys(newRecord).reduce((acc, member) => {
+    const previous = existingRecord[member];
+    const value = newRecord[member];
+    const merged =
+      MERGED_MEMBERS.includes(member) &&
+      isPlainObject(previous) &&
+      isPlainObject(value)
+        ? mergeMember(member, previous, value)
+        : value;
+    return Object.assign(acc, { [member]: merged });
+  }, {});
+
 const storeRecord = records => newRecord => {
-  const existingRecord = records.find(r => r.id === newRecord.id);
+  const existingRecord = findRecord(records, newRecord.id);
   if (existingRecord) {
-    Object.assign(existingRecord, newRecord);
+    Object.assign(existingRecord, mergeRecord(existingRecord, newRecord));
   } else {
     records.push(newRecord);
+    indexFor(records).set(String(newRecord.id), newRecord);
   }
 };
 
@@ -26,18 +115,91 @@ const getResourceIdentifier = resource => {
   };
 };
 
-const getRelationshipType = relationship => {
-  const data = Array.isArray(relationship.data)
-    ? relationship.data[0]
-    : relationship.data;
+// a link is either a URL or an object with an href
+const linkHref = link => (link && typeof link === 'object' ? link.href : link);
+
+const selfLink = record =>
+  linkHref(record && record.links && record.links.self);
+
+const relationshipLink = (record, relationship, name) => {
+  const entity =
+    record && record.relationships && record.relationships[relationship];
+  return linkHref(entity && entity.links && entity.links[name]);
+};
+
+// the cursor pagination profile gives each record's cursor in its meta:
+// https://jsonapi.org/profiles/ethanresnick/cursor-pagination/
+const recordCursor = record =>
+  (record && record.meta && record.meta.page && record.meta.page.cursor) ||
+  null;
+
+const linkageIdentifiers = data => {
+  if (Array.isArray(data)) {
+    return data;
+  }
+  return data ? [data] : [];
+};
+
+const linkageTypes = data =>
+  linkageIdentifiers(data)
+    .map(({ type }) => type)
+    .filter((type, index, types) => types.indexOf(type) === index);
+
+const linkageByRelationship = record => {
+  const relationships = (record && record.relationships) || {};
+  return Object.keys(relationships).reduce(
+    (acc, name) =>
+      Object.assign(acc, {
+        [name]: relationships[name] && relationships[name].data,
+      }),
+    {},
+  );
+};
+
+// a polymorphic relationship can link records of several types. Each type's
+// module gets the ids of its own records, and every module gets the full
+// linkage so that the related records can be returned in the server's order.
+// Types of the previous linkage, or of `types`, that are no longer linked
+// still need their ids cleared
+const splitLinkage = (data, { previous, types = [] } = {}) => {
+  const identifiers = Array.isArray(data)
+    ? data.map(getResourceIdentifier)
+    : getResourceIdentifier(data) || null;
+  const allTypes = [...linkageTypes(data), ...linkageTypes(previous), ...types];
+  return [...new Set(allTypes)].map(type => {
+    const ids = linkageIdentifiers(data)
+      .filter(identifier => identifier.type === type)
+      .map(identifier => identifier.id);
+    const relatedIds = Array.isArray(data) ? ids : ids[0] || null;
+    return { type, relatedIds, identifiers };
+  });
+};
 
-  return data && data.type;
+const storeLinkage = (
+  dispatch,
+  { parent, relationship, data, previous, types, ensureModule = () => {} },
+) => {
+  const params = { parent: getResourceIdentifier(parent), relationship };
+  const split = splitLinkage(data, { previous, types });
+  split.forEach(({ type, relatedIds, identifiers }) => {
+    // a type can be linked to without any record of it being included
+    ensureModule(type);
+    dispatch(
+      `${type}/storeRelated`,
+      { params, relatedIds, identifiers },
+      { root: true },
+    );
+  });
 };
 
-const storeIncluded = ({ commit, dispatch }, result) => {
+const storeIncluded = (
+  { commit, dispatch, ensureModule = () => {} },
+  result,
+) => {
   if (result.included) {
     // store the included records
     result.included.forEach(relatedRecord => {
+      ensureModule(relatedRecord.type);
       const action = `${relatedRecord.type}/storeRecord`;
       dispatch(action, relatedRecord, { root: true });
     });
@@ -58,53 +220,735 @@ const storeIncluded = ({ commit, dispatch }, result) => {
             return;
           }
 
-          const type = getRelationshipType(relationship);
-          let relatedIds;
-          if (Array.isArray(relationship.data)) {
-            relatedIds = relationship.data.map(
-              relatedRecord => relatedRecord.id,
-            );
-          } else {
-            ({ id: relatedIds } = relationship.data);
-          }
-          const options = {
-            relatedIds,
-            params: {
-              parent: getResourceIdentifier(primaryRecord),
-              relationship: relationshipName,
-            },
-          };
-          const action = `${type}/storeRelated`;
-          dispatch(action, options, { root: true });
+          storeLinkage(dispatch, {
+            parent: primaryRecord,
+            relationship: relationshipName,
+            data: relationship.data,
+            ensureModule,
+          });
         });
       }
     });
   }
 };
 
+// stores every resource of a document pushed by the server, like one from a
+// WebSocket or server-sent event. A push may carry only some of a record's
+// relationships, so only the linkage of those relationships is replaced.
+// Records the server deleted are listed as identifiers in `meta.deleted`
+const ingestResources = (
+  {
+    dispatch,
+    ensureModule,
+    accepts = () => true,
+    findStored,
+    storeResource,
+    removeResource,
+  },
+  document,
+) => {
+  const resources = [
+    ...[].concat(document.data || []),
+    ...(document.included || []),
+  ].filter(accepts);
+  resources.forEach(resource => {
+    const stored = findStored(resource);
+    const relationships = resource.relationships || {};
+    const pushed = Object.keys(relationships).filter(
+      relationship => relationships[relationship].data !== undefined,
+    );
+    // storing merges into the stored record, so its linkage is read first
+    const previousLinkage = linkageByRelationship(stored);
+
+    storeResource(resource);
+    pushed.forEach(relationship => {
+      storeLinkage(dispatch, {
+        parent: resource,
+        relationship,
+        data: relationships[relationship].data,
+        previous: previousLinkage[relationship],
+        ensureModule,
+      });
+    });
+  });
+
+  const deleted = (document.meta && document.meta.deleted) || [];
+  deleted.forEach(removeResource);
+};
+
+const storeUpdatedRecord = (
+  { commit, dispatch, getters },
+  record,
+  { local = false, relationshipType = () => undefined } = {},
+) => {
+  const oldRecord = getters.byId({ id: record.id });
+  // storing merges into the stored record, so its linkage is read first
+  const previousLinkage = linkageByRelationship(oldRecord);
+
+  // save entity
+  commit(local ? 'STORE_LOCAL_RECORD' : 'STORE_UPDATED_RECORD', record);
+
+  // relationships the record no longer links are cleared
+  const newRelationships = record.relationships || {};
+  const names = [
+    ...new Set([
+      ...Object.keys(previousLinkage),
+      ...Object.keys(newRelationships),
+    ]),
+  ];
+  names.forEach(relationship => {
+    const { data } = newRelationships[relationship] || {};
+    const isNonEmptyArray = Array.isArray(data) && Boolean(data.length);
+    const isObject = Boolean(data && data.type && data.id);
+    const hasLinkage = isNonEmptyArray || isObject;
+    const hadRelationship = relationship in previousLinkage;
+    if (!hasLinkage && !hadRelationship) {
+      return;
+    }
+
+    const previous = previousLinkage[relationship];
+    const schemaType =
+      hadRelationship && linkageTypes(previous).length === 0
+        ? relationshipType(relationship)
+        : undefined;
+    storeLinkage(dispatch, {
+      parent: record,
+      relationship,
+      data: hasLinkage ? data : null,
+      previous,
+      types: schemaType ? [schemaType] : [],
+    });
+  });
+};
+
+// captures the related index of every module an update may rewrite, so that
+// a failed optimistic update can put it back exactly as it was
+const snapshotRelated = (rootState, records) => {
+  const types = records
+    .filter(record => record && record.relationships)
+    .map(record =>
+      Object.values(record.relationships).map(relationship =>
+        linkageTypes(relationship && relationship.data),
+      ),
+    )
+    .reduce((acc, recordTypes) => [...acc, ...[].concat(...recordTypes)], [])
+    .filter((type, index, types) => type && types.indexOf(type) === index)
+    .filter(type => rootState[type] && Array.isArray(rootState[type].related));
+
+  return types.map(type => ({
+    type,
+    related: cloneDeep(rootState[type].related),
+  }));
+};
+
+const restoreRelated = (commit, snapshot) => {
+  snapshot.forEach(({ type, related }) => {
+    commit(`${type}/REPLACE_ALL_RELATED`, related, { root: true });
+  });
+};
+
 const matches = criteria => test =>
   Object.keys(criteria).every(key => deepEquals(criteria[key], test[key]));
 
-const handleError = commit => errorResponse => {
+// sorts object keys and drops undefined values so that equal params always
+// produce the same key, regardless of how the caller built them
+const normalizeParams = value => {
+  if (Array.isArray(value)) {
+    return value.map(normalizeParams);
+  } else if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return Object.keys(value)
+      .sort()
+      .filter(key => value[key] !== undefined)
+      .reduce(
+        (acc, key) =>
+          Object.assign(acc, { [key]: normalizeParams(value[key]) }),
+        {},
+      );
+  }
+  return value;
+};
+
+const sameOptions = (a, b) =>
+  deepEquals(normalizeParams(a || {}), normalizeParams(b || {}));
+
+const findPage = (pages, options) =>
+  pages.find(entry => sameOptions(entry.options, options));
+
+const requestKey = (action, params) =>
+  `${action}:${JSON.stringify(normalizeParams(params))}`;
+
+const inFlightRequests = new WeakMap();
+
+// hands the promise of an identical request that has not settled yet to later
+// callers instead of sending the request again
+const dedupeRequest = (state, key, request) => {
+  if (!inFlightRequests.has(state)) {
+    inFlightRequests.set(state, {});
+  }
+  const requests = inFlightRequests.get(state);
+
+  if (!requests[key]) {
+    const settle = () => {
+      delete requests[key];
+    };
+    requests[key] = request().then(
+      result => {
+        settle();
+        return result;
+      },
+      error => {
+        settle();
+        throw error;
+      },
+    );
+  }
+
+  return requests[key];
+};
+
+// the client rejects with the HTTP response when the server responded, so an
+// error without a status means the request never got an answer
+const isNetworkError = error => !error || error.status === undefined;
+
+// JSON:API error objects are flattened so that a form can look them up by the
+// field they point to
+const normalizeError = error => {
+  const network = isNetworkError(error);
+  const data = error && error.data;
+  const errors = data && Array.isArray(data.errors) ? data.errors : [];
+  return {
+    network,
+    status: network ? null : error.status,
+    errors: errors.map(
+      ({ status, code, title, detail, source = {}, meta }) => ({
+        status: status || null,
+        code: code || null,
+        title: title || null,
+        detail: detail || null,
+        pointer: source.pointer || null,
+        parameter: source.parameter || null,
+        meta: meta || null,
+      }),
+    ),
+  };
+};
+
+const writeTarget = ({ action, id }) => ({
+  action,
+  id: id === null || id === undefined ? null : String(id),
+});
+
+const resourceModuleNames = rootState =>
+  Object.keys(rootState).filter(
+    name =>
+      rootState[name] &&
+      Array.isArray(rootState[name].records) &&
+      Array.isArray(rootState[name].related),
+  );
+
+// turns an include string like 'comments.author,tags' into a tree like
+// { comments: { author: {} }, tags: {} }
+const parseInclude = include =>
+  include
+    .split(',')
+    .map(path => path.trim())
+    .filter(Boolean)
+    .reduce((tree, path) => {
+      let node = tree;
+      path.split('.').forEach(relationship => {
+        node[relationship] = node[relationship] || {};
+        node = node[relationship];
+      });
+      return tree;
+    }, {});
+
+const remapIdentifier = ({ type, from, to }) => identifier =>
+  identifier && identifier.type === type && identifier.id === from
+    ? { ...identifier, id: to }
+    : identifier;
+
+const toLinkage = data =>
+  Array.isArray(data)
+    ? data.map(getResourceIdentifier)
+    : getResourceIdentifier(data);
+
+const linkageKey = ({ type, id }) => `${type}:${id}`;
+
+const addLinkage = (linkage = [], added) => {
+  const existingKeys = new Set(linkage.map(linkageKey));
+  return [
+    ...linkage,
+    ...added.filter(identifier => !existingKeys.has(linkageKey(identifier))),
+  ];
+};
+
+const removeLinkage = (linkage = [], removed) => {
+  const removedKeys = new Set(removed.map(linkageKey));
+  return linkage.filter(identifier => !removedKeys.has(linkageKey(identifier)));
+};
+
+const RELATIONSHIP_CHANGES = {
+  add: addLinkage,
+  remove: removeLinkage,
+  replace: (previous, linkage) => linkage,
+};
+
+const withRelationshipData = (record, relationship, data) => ({
+  ...record,
+  relationships: {
+    ...record.relationships,
+    [relationship]: {
+      ...(record.relationships && record.relationships[relationship]),
+      data,
+    },
+  },
+});
+
+const handleError = (commit, key) => errorResponse => {
   commit('SET_STATUS', STATUS_ERROR);
+  commit('SET_QUERY_STATUS', {
+    key,
+    status: STATUS_ERROR,
+    error: errorResponse,
+  });
   commit('STORE_ERROR', errorResponse);
   throw errorResponse;
 };
 
+const initialQuery = {
+  status: STATUS_INITIAL,
+  error: null,
+  startedAt: null,
+  finishedAt: null,
+};
+
+// the last server-confirmed version of each record is kept frozen, so that
+// Vue doesn't make the copies reactive
+const storePristine = (state, records) => {
+  const { pristine } = state;
+  records.forEach(({ id }) => {
+    const storedRecord = findRecord(state.records, id);
+    if (!storedRecord) {
+      return;
+    }
+    const snapshot = Object.freeze(cloneDeep(storedRecord));
+    const existingSnapshot = findRecord(pristine, id);
+    if (existingSnapshot) {
+      pristine.splice(pristine.indexOf(existingSnapshot), 1, snapshot);
+    } else {
+      pristine.push(snapshot);
+    }
+    indexFor(pristine).set(String(id), snapshot);
+  });
+};
+
+const changedFields = (current = {}, previous = {}) =>
+  Object.keys({ ...previous, ...current })
+    .filter(name => !deepEquals(current[name], previous[name]))
+    .reduce(
+      (acc, name) =>
+        Object.assign(acc, {
+          [name]: { previous: previous[name], current: current[name] },
+        }),
+      {},
+    );
+
+const isFresh = (fetchedAt, maxAge) =>
+  typeof fetchedAt === 'number' && Date.now() - fetchedAt <= maxAge;
+
+// fetch times are only read by actions deciding whether to skip a request,
+// so they are kept out of Vue's reactivity
+const markFetched = (state, records) => {
+  const now = Date.now();
+  records.forEach(({ id }) => {
+    state.recordsFetchedAt[id] = now;
+  });
+};
+
+const passThrough = value => value;
+
+const nullable = transform => value =>
+  value === null || value === undefined ? value : transform(value);
+
+// a JS cast would turn "false" into true and "" into 0, so only values that
+// clearly hold a number or a boolean are converted; the rest are left as
+// they are rather than silently changed
+const toNumber = value => {
+  if (typeof value !== 'string' || value.trim() === '') {
+    return value;
+  }
+  const number = Number(value);
+  return Number.isNaN(number) ? value : number;
+};
+
+const toBoolean = value => {
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  return value;
+};
+
+// the built-in transforms leave a value that is already in the target form
+// as it is, so a record built by hand with a Date is stored the same way as
+// one from the server
+const ATTRIBUTE_TYPES = {
+  string: { deserialize: nullable(String), serialize: nullable(String) },
+  number: { deserialize: nullable(toNumber), serialize: nullable(toNumber) },
+  boolean: {
+    deserialize: nullable(toBoolean),
+    serialize: nullable(toBoolean),
+  },
+  date: {
+    deserialize: nullable(value =>
+      value instanceof Date ? value : new Date(value),
+    ),
+    serialize: nullable(value =>
+      value instanceof Date ? value.toISOString() : value,
+    ),
+  },
+};
+
+const compileSchema = ({ attributes = {}, relationships = {} } = {}) => {
+  const transforms = Object.keys(attributes).reduce((acc, name) => {
+    const { type, serialize, deserialize } = attributes[name];
+    if (type && !ATTRIBUTE_TYPES[type]) {
+      throw new Error(`Unknown type "${type}" for attribute "${name}"`);
+    }
+    const builtIn = ATTRIBUTE_TYPES[type] || {
+      serialize: passThrough,
+      deserialize: passThrough,
+    };
+    return Object.assign(acc, {
+      [name]: {
+        serialize: serialize || builtIn.serialize,
+        deserialize: deserialize || builtIn.deserialize,
+      },
+    });
+  }, {});
+  const names = Object.keys(transforms);
+
+  const transform = direction => record => {
+    if (!record || !record.attributes || names.length === 0) {
+      return record;
+    }
+    const transformed = { ...record.attributes };
+    names
+      .filter(name => name in transformed)
+      .forEach(name => {
+        transformed[name] = transforms[name][direction](transformed[name]);
+      });
+    return { ...record, attributes: transformed };
+  };
+
+  const withDefaults = recordData => {
+    const defaults = Object.keys(attributes)
+      .filter(name => 'default' in attributes[name])
+      .filter(name => !(recordData.attributes && name in recordData.attributes))
+      .reduce((acc, name) => {
+        const value = attributes[name].default;
+        return Object.assign(acc, {
+          [name]: typeof value === 'function' ? value() : cloneDeep(value),
+        });
+      }, {});
+    return Object.keys(defaults).length === 0
+      ? recordData
+      : {
+          ...recordData,
+          attributes: { ...defaults, ...recordData.attributes },
+        };
+  };
+
+  const validationError = (member, name, code, detail) => ({
+    status: '422',
+    code,
+    title: 'Invalid Attribute',
+    detail: `${name} ${detail}`,
+    source: { pointer: `/data/${member}/${name}` },
+  });
+
+  const isBlank = value =>
+    value === null ||
+    value === undefined ||
+    value === '' ||
+    (Array.isArray(value) && value.length === 0);
+
+  const attributeErrors = (record, name) => {
+    const { required, format, length = {}, validate } = attributes[name];
+    const value = record.attributes && record.attributes[name];
+    if (isBlank(value)) {
+      return required
+        ? [validationError('attributes', name, 'required', 'is required')]
+        : [];
+    }
+
+    const errors = [];
+    if (format && typeof value === 'string' && !format.test(value)) {
+      errors.push(
+        validationError('attributes', name, 'format', 'is not valid'),
+      );
+    }
+    if (typeof value === 'string' || Array.isArray(value)) {
+      const unit = Array.isArray(value) ? 'items' : 'characters';
+      if (length.min !== undefined && value.length < length.min) {
+        errors.push(
+          validationError(
+            'attributes',
+            name,
+            'length',
+            `must have at least ${length.min} ${unit}`,
+          ),
+        );
+      }
+      if (length.max !== undefined && value.length > length.max) {
+        errors.push(
+          validationError(
+            'attributes',
+            name,
+            'length',
+            `must have at most ${length.max} ${unit}`,
+          ),
+        );
+      }
+    }
+    // custom rules return a message when the value is invalid
+    const message = validate && validate(value, record);
+    if (message) {
+      errors.push(
+        validationError(
+          'attributes',
+          name,
+          'invalid',
+          typeof message === 'string' ? message : 'is not valid',
+        ),
+      );
+    }
+    return errors;
+  };
+
+  const relationshipErrors = (record, name) => {
+    const relationship = record.relationships && record.relationships[name];
+    const data = relationship && relationship.data;
+    return relationships[name].required && isBlank(data)
+      ? [validationError('relationships', name, 'required', 'is required')]
+      : [];
+  };
+
+  const hasField = (record, member, name) => {
+    const fields = record && record[member];
+    if (!fields || !(name in fields)) {
+      return false;
+    }
+    return member === 'attributes' || 'data' in (fields[name] || {});
+  };
+
+  // an update may only send the fields that changed, so the fields it leaves
+  // out are taken from the stored record and only checked for being required
+  const validate = (record, { partial = false, storedRecord } = {}) => {
+    const merged =
+      partial && storedRecord
+        ? {
+            ...storedRecord,
+            ...record,
+            attributes: { ...storedRecord.attributes, ...record.attributes },
+            relationships: {
+              ...storedRecord.relationships,
+              ...record.relationships,
+            },
+          }
+        : record;
+    const fieldErrors = (member, names, errorsFor) =>
+      names
+        .filter(name => !partial || hasField(merged, member, name))
+        .reduce((acc, name) => {
+          const errors = errorsFor(merged, name);
+          return [
+            ...acc,
+            ...(!partial || hasField(record, member, name)
+              ? errors
+              : errors.filter(({ code }) => code === 'required')),
+          ];
+        }, []);
+    return [
+      ...fieldErrors('attributes', Object.keys(attributes), attributeErrors),
+      ...fieldErrors(
+        'relationships',
+        Object.keys(relationships),
+        relationshipErrors,
+      ),
+    ];
+  };
+
+  return {
+    validate,
+    serialize: transform('serialize'),
+    deserialize: transform('deserialize'),
+    withDefaults,
+    relationshipType: name => relationships[name] && relationships[name].type,
+    isToMany: name =>
+      Boolean(relationships[name] && relationships[name].toMany),
+  };
+};
+
+const fieldNames = record => [
+  ...Object.keys(record.attributes || {}),
+  ...Object.keys(record.relationships || {}),
+];
+
+// loaded fields are read by the hasFields getter, so unlike fetch times they
+// are kept reactive, replacing the object once per mutation
+const markLoadedFields = (state, records) => {
+  const loadedFields = { ...state.loadedFields };
+  records.forEach(record => {
+    const previousFields = loadedFields[record.id] || [];
+    loadedFields[record.id] = [
+      ...new Set([...previousFields, ...fieldNames(record)]),
+    ];
+  });
+  state.loadedFields = loadedFields;
+};
+
+const storeConfirmedRecord = (state, record) => {
+  storeRecord(state.records)(record);
+  markFetched(state, [record]);
+  markLoadedFields(state, [record]);
+  storePristine(state, [record]);
+};
+
 const initialState = () => ({
   records: [],
+  pristine: [],
+  recordsFetchedAt: {},
+  recordsFetchedWith: {},
+  loadedFields: {},
+  allOptions: null,
+  allFetchedAt: null,
   related: [],
   filtered: [],
   page: [],
+  pageOptions: null,
+  pageFetchedAt: null,
+  pageCursors: { start: null, end: null },
+  pageMeta: null,
+  pages: [],
+  accumulated: [],
+  accumulatedOptions: null,
+  accumulatedLinks: {},
   error: null,
   status: STATUS_INITIAL,
+  queries: {},
   links: {},
+  queue: [],
+  failedWrites: [],
+  writeErrors: [],
   lastCreated: null,
   lastMeta: null,
 });
 
-const resourceModule = ({ name: resourceName, httpClient }) => {
+const UNKNOWN_TYPE_MODES = ['register', 'throw'];
+
+// without a module of its own, Vuex drops a type's included records with no
+// more than an "unknown action" warning. Returns a function that makes sure
+// the store has a module for a type, given the store the action runs in
+const unknownTypeHandler = ({ httpClient, unknownTypes }) => {
+  if (unknownTypes && !UNKNOWN_TYPE_MODES.includes(unknownTypes)) {
+    throw new Error(`Unknown unknownTypes mode "${unknownTypes}"`);
+  }
+
+  return store => type => {
+    if (!unknownTypes || store.hasModule(type)) {
+      return;
+    }
+    if (unknownTypes === 'throw') {
+      throw new Error(
+        `No resource module for included type "${type}"; add it to the names passed to mapResourceModules`,
+      );
+    }
+    store.registerModule(
+      type,
+      resourceModule({ name: type, httpClient, unknownTypes }),
+    );
+  };
+};
+
+const resourceModule = ({
+  name: resourceName,
+  httpClient,
+  optimistic = false,
+  queueOfflineWrites = false,
+  pruneOrphanedRelated = false,
+  schema: schemaDefinition,
+  cachePolicy: defaultCachePolicy,
+  maxAge: defaultMaxAge,
+  unknownTypes,
+}) => {
   const client = new ResourceClient({ name: resourceName, httpClient });
+  const ensureModule = unknownTypeHandler({ httpClient, unknownTypes });
+  const relationships = relationshipClient({ name: resourceName, httpClient });
+  const links = linkClient({ httpClient });
+  const schema = compileSchema(schemaDefinition);
+
+  // records are stored with deserialized attributes and sent serialized.
+  // Updates and deletes go to the record's self link when the server gave
+  // one, either on the record passed in or on the stored one
+  const writeClient = {
+    create: recordData => client.create(schema.serialize(recordData)),
+    update: (record, storedRecord) => {
+      const url = selfLink(record) || selfLink(storedRecord);
+      const serialized = schema.serialize(record);
+      return url ? links.update(url, serialized) : client.update(serialized);
+    },
+    delete: (record, storedRecord) => {
+      const url = selfLink(record) || selfLink(storedRecord);
+      return url ? links.delete(url) : client.delete(record);
+    },
+  };
+
+  // invalid records are rejected the way the server would reject them, so
+  // that client and server validation errors can be handled the same way
+  const validationFailure = (record, options) => {
+    const errors = schema.validate(record, options);
+    return errors.length > 0 ? { status: 422, data: { errors } } : null;
+  };
+
+  // a new attempt replaces the error of the last one, so that a form doesn't
+  // show errors that may have been fixed
+  const trackWriteErrors = ({ commit }, target, write) => {
+    commit('CLEAR_WRITE_ERRORS', writeTarget(target));
+    return write().catch(error => {
+      commit('STORE_WRITE_ERROR', { ...target, error });
+      throw error;
+    });
+  };
+
+  const storeUpdated = (context, record, options = {}) =>
+    storeUpdatedRecord(context, record, {
+      ...options,
+      relationshipType: schema.relationshipType,
+    });
+
+  // a maxAge on its own implies that cached data may be used
+  const getCacheSettings = ({ cachePolicy, maxAge } = {}) => {
+    const policy =
+      cachePolicy ||
+      (maxAge !== undefined && CACHE_FIRST) ||
+      defaultCachePolicy ||
+      (defaultMaxAge !== undefined && CACHE_FIRST) ||
+      NETWORK_ONLY;
+    const age = [maxAge, defaultMaxAge, Infinity].find(
+      value => value !== undefined,
+    );
+    return { policy, maxAge: age };
+  };
+
+  const canUseCache = (params, fetchedAt) => {
+    const { policy, maxAge } = getCacheSettings(params);
+    return policy === CACHE_FIRST && isFresh(fetchedAt, maxAge);
+  };
+
+  const relatedFetchedAt = (entry, options) =>
+    sameOptions(options, {})
+      ? entry.fetchedAt
+      : (entry.fetchedWith || {})[requestKey('options', options)];
 
   const getRelationshipIndex = params => {
     const { parent, relationship = resourceName } = params;
@@ -116,38 +960,561 @@ const resourceModule = ({ name: resourceName, httpClient }) => {
     };
   };
 
-  return {
-    namespaced: true,
+  // status is tracked per query, keyed the same way as the data each kind of
+  // load stores, so that concurrent loads don't report each other's status
+  const queryKeys = {
+    All: () => requestKey('all', {}),
+    ById: ({ id }) => requestKey('byId', { id: String(id) }),
+    Where: ({ filter, options }) => requestKey('where', { filter, options }),
+    Page: ({ options } = {}) => requestKey('page', { options }),
+    Related: params => requestKey('related', getRelationshipIndex(params)),
+    Relationship: params =>
+      requestKey('relationship', getRelationshipIndex(params)),
+    More: () => requestKey('more', {}),
+    NextPage: () => requestKey('nextPage', {}),
+    PreviousPage: () => requestKey('previousPage', {}),
+    FirstPage: () => requestKey('firstPage', {}),
+    LastPage: () => requestKey('lastPage', {}),
+  };
+
+  const queryGetters = Object.keys(queryKeys).reduce(
+    (acc, kind) =>
+      Object.assign(acc, {
+        [`queryFor${kind}`]: state => (params = {}) =>
+          state.queries[queryKeys[kind](params)] || initialQuery,
+        [`statusFor${kind}`]: (state, getters) => params =>
+          getters[`queryFor${kind}`](params).status,
+        [`isLoading${kind}`]: (state, getters) => params =>
+          getters[`queryFor${kind}`](params).status === STATUS_LOADING,
+        [`isError${kind}`]: (state, getters) => params =>
+          getters[`queryFor${kind}`](params).status === STATUS_ERROR,
+        [`errorFor${kind}`]: (state, getters) => params =>
+          getters[`queryFor${kind}`](params).error,
+      }),
+    {},
+  );
+
+  const sendWrite = {
+    create({ commit }, recordData) {
+      if (!optimistic) {
+        return writeClient.create(recordData).then(result => {
+          commit('STORE_RECORD', result.data);
+          commit('STORE_LAST_CREATED', result.data);
+        });
+      }
+
+      const temporaryRecord = cloneDeep({
+        ...recordData,
+        type: resourceName,
+        id: temporaryId(),
+      });
+      commit('STORE_LOCAL_RECORD', temporaryRecord);
+
+      return writeClient.create(recordData).then(
+        result => {
+          commit('REPLACE_RECORD', {
+            id: temporaryRecord.id,
+            record: result.data,
+          });
+          commit('STORE_PRISTINE', [result.data]);
+          commit('STORE_LAST_CREATED', result.data);
+        },
+        error => {
+          commit('REMOVE_RECORD', temporaryRecord);
+          throw error;
+        },
+      );
+    },
+
+    update(context, record) {
+      const { commit, getters, rootState, state } = context;
+      const oldRecord = getters.byId({ id: record.id });
+
+      if (!optimistic) {
+        return writeClient
+          .update(record, oldRecord)
+          .then(() => storeUpdated(context, record));
+      }
+
+      // the record from byId may already hold the edit, so a failed update
+      // goes back to the last version the server confirmed
+      const pristine = findRecord(state.pristine, record.id);
+      const previousRecord = cloneDeep(pristine || oldRecord);
+      const previousRelated = snapshotRelated(rootState, [
+        pristine,
+        oldRecord,
+        record,
+      ]);
+
+      storeUpdated(context, record, { local: true });
+
+      return writeClient.update(record, oldRecord).then(
+        () => {
+          commit('STORE_PRISTINE', [record]);
+        },
+        error => {
+          if (previousRecord) {
+            commit('REPLACE_RECORD', {
+              id: record.id,
+              record: previousRecord,
+              local: true,
+            });
+          } else {
+            commit('REMOVE_RECORD', record);
+          }
+          restoreRelated(commit, previousRelated);
+          throw error;
+        },
+      );
+    },
+
+    delete(context, record) {
+      const { commit, state } = context;
+      const previousRecord = findRecord(state.records, record.id);
+      const identifier = deletedIdentifier(previousRecord || record);
+
+      if (!optimistic) {
+        return writeClient.delete(record, previousRecord).then(() => {
+          commit('REMOVE_RECORD', record);
+          removeReferences(context, identifier);
+        });
+      }
+
+      const removed = previousRecord && {
+        record: previousRecord,
+        index: state.records.indexOf(previousRecord),
+        pristine: findRecord(state.pristine, previousRecord.id),
+        fetchedAt: state.recordsFetchedAt[previousRecord.id],
+        loadedFields: state.loadedFields[previousRecord.id],
+      };
+
+      // references to the record are only removed once the server confirms
+      // the delete, so a failed delete only has to put the record back
+      commit('REMOVE_RECORD', record);
+
+      return writeClient.delete(record, previousRecord).then(
+        () => removeReferences(context, identifier),
+        error => {
+          if (removed) {
+            commit('INSERT_RECORD', removed);
+          }
+          throw error;
+        },
+      );
+    },
+  };
+
+  // the pages a server links to replace the current page, like loadPage does
+  const loadLinkedPage = (
+    store,
+    { commit, dispatch, state },
+    link,
+    queryKey,
+  ) => {
+    // without the link there is no such page to load
+    const url = linkHref(state.links[link]);
+    if (!url) {
+      return Promise.resolve();
+    }
+
+    const options = { url };
+    const key = requestKey('loadLinkedPage', options);
+    return dedupeRequest(state, key, () => {
+      commit('SET_STATUS', STATUS_LOADING);
+      commit('SET_QUERY_STATUS', { key: queryKey, status: STATUS_LOADING });
+      return client
+        .all({ options })
+        .then(response => {
+          commit('SET_STATUS', STATUS_SUCCESS);
+          commit('SET_QUERY_STATUS', { key: queryKey, status: STATUS_SUCCESS });
+          commit('STORE_RECORDS', response.data);
+          commit('STORE_PAGE', response.data);
+          commit('STORE_PAGE_OPTIONS', options);
+          commit('SET_LINKS', response.links);
+          commit('STORE_META', response.meta);
+          commit('STORE_PAGE_META', response.meta);
+          commit('STORE_CACHED_PAGE', {
+            options,
+            records: response.data,
+            links: response.links,
+            meta: response.meta,
+          });
+          storeIncluded(
+            { commit, dispatch, ensureModule: ensureModule(store) },
+            response,
+          );
+        })
+        .catch(handleError(commit, queryKey));
+    });
+  };
+
+  const writeRelationship = (context, method, { id, relationship, data }) => {
+    const { state } = context;
+    const linkage = toLinkage(data);
+    const url = relationshipLink(
+      findRecord(state.records, id),
+      relationship,
+      'self',
+    );
+    return relationships[method]({ id, relationship, data: linkage, url }).then(
+      body =>
+        storeRelationshipChange(context, {
+          id,
+          relationship,
+          method,
+          data: linkage,
+          result: body ? body.data : undefined,
+        }),
+    );
+  };
+
+  // the server may answer with the resulting linkage; when it sends none,
+  // the linkage is worked out from the change that was sent instead
+  const storeRelationshipChange = (
+    { commit, dispatch, state },
+    { id, relationship, method, data, result },
+  ) => {
+    const linkage = toLinkage(data);
+    const record = findRecord(state.records, id);
+    const previous = linkageByRelationship(record)[relationship];
+    const newLinkage =
+      result !== undefined
+        ? result
+        : RELATIONSHIP_CHANGES[method](previous, linkage);
+    const types = linkageTypes(linkage);
+    if (schema.relationshipType(relationship)) {
+      types.push(schema.relationshipType(relationship));
+    }
+
+    commit('STORE_RELATIONSHIP', { id, relationship, data: newLinkage });
+
+    storeLinkage(dispatch, {
+      parent: record || { type: resourceName, id },
+      relationship,
+      data: newLinkage,
+      previous,
+      types,
+    });
+  };
+
+  // linkage to types that have a module of their own is stored in that
+  // module; the rest, including records whose type is spelled differently
+  // from the module's name, is stored in this one
+  const storeLoadedLinkage = (
+    { commit, dispatch, rootState, state },
+    { params, data, meta, links },
+  ) => {
+    const otherModules = resourceModuleNames(rootState).filter(
+      name => name !== resourceName,
+    );
+    const isOwn = identifier => !otherModules.includes(identifier.type);
+    const ownIds = linkageIdentifiers(data)
+      .filter(isOwn)
+      .map(identifier => identifier.id);
+    const identifiers = Array.isArray(data)
+      ? data.map(getResourceIdentifier)
+      : getResourceIdentifier(data) || null;
+
+    const entry = state.related.find(matches(getRelationshipIndex(params)));
+    const previous = entry && entry.identifiers;
+
+    commit('STORE_RELATED', {
+      params,
+      relatedIds: Array.isArray(data) ? ownIds : ownIds[0] || null,
+      identifiers,
+      meta,
+      links,
+    });
+    splitLinkage(data, { previous })
+      .filter(({ type }) => otherModules.includes(type))
+      .forEach(({ type, relatedIds }) => {
+        dispatch(
+          `${type}/storeRelated`,
+          {
+            params: getRelationshipIndex(params),
+            relatedIds,
+            identifiers,
+          },
+          { root: true },
+        );
+      });
+  };
+
+  // records of other types are found through their own module; in a store
+  // with only this module, records of this module's type are found here
+  const findIdentifier = (getters, rootGetters, identifier) => {
+    const byId =
+      rootGetters[`${identifier.type}/byId`] ||
+      (identifier.type === resourceName ? getters.byId : undefined);
+    return byId ? byId({ id: identifier.id }) : undefined;
+  };
+
+  const deletedIdentifier = record => ({
+    type: record.type || resourceName,
+    id: record.id,
+  });
+
+  const removeReferences = ({ commit, rootState }, { type, id }) => {
+    const removal = {
+      name: resourceName,
+      type,
+      id,
+      removeRelated: pruneOrphanedRelated,
+    };
+    commit('REMOVE_REFERENCES', removal);
+    resourceModuleNames(rootState).forEach(name => {
+      commit(`${name}/REMOVE_REFERENCES`, removal, { root: true });
+    });
+  };
+
+  const queueWrite = (context, action, payload) => {
+    const { commit } = context;
+    let record;
+    if (action === 'create') {
+      record = cloneDeep({
+        ...payload,
+        type: resourceName,
+        id: temporaryId(),
+      });
+      commit('STORE_LOCAL_RECORD', record);
+      commit('STORE_LAST_CREATED', record);
+    } else if (action === 'update') {
+      record = payload;
+      storeUpdated(context, record, { local: true });
+    } else {
+      // the record is gone by the time the delete is sent, so its self link
+      // is kept with the queued write
+      const storedRecord = findRecord(context.state.records, payload.id);
+      record = { type: resourceName, id: payload.id };
+      if (selfLink(storedRecord)) {
+        record.links = { self: selfLink(storedRecord) };
+      }
+      commit('REMOVE_RECORD', record);
+    }
+
+    commit('ENQUEUE_WRITE', {
+      id: temporaryId(),
+      action,
+      record: cloneDeep(record),
+    });
+  };
+
+  // once a write is queued, later writes are queued behind it even when the
+  // network is back, so that they reach the server in order
+  const writeOrQueue = (context, action, payload) => {
+    if (!queueOfflineWrites) {
+      return sendWrite[action](context, payload);
+    } else if (context.state.queue.length > 0) {
+      return Promise.resolve(queueWrite(context, action, payload));
+    }
+
+    return sendWrite[action](context, payload).catch(error => {
+      if (isNetworkError(error)) {
+        return queueWrite(context, action, payload);
+      }
+      throw error;
+    });
+  };
+
+  const replayWrite = (context, { action, record }) => {
+    const { commit, state, rootState } = context;
+    if (action === 'create') {
+      const { id, ...recordData } = record;
+      return writeClient.create(recordData).then(result => {
+        commit('REPLACE_RECORD', { id, record: result.data });
+        commit('STORE_PRISTINE', [result.data]);
+        if (state.lastCreated && state.lastCreated.id === id) {
+          commit('STORE_LAST_CREATED', result.data);
+        }
+
+        const remap = { type: resourceName, from: id, to: result.data.id };
+        commit('REMAP_QUEUED_ID', remap);
+        resourceModuleNames(rootState).forEach(name => {
+          commit(`${name}/REMAP_QUEUED_ID`, remap, { root: true });
+        });
+      });
+    } else if (action === 'update') {
+      return writeClient
+        .update(record, findRecord(state.records, record.id))
+        .then(() => storeUpdated(context, record));
+    }
+    return writeClient
+      .delete(record)
+      .then(() => removeReferences(context, deletedIdentifier(record)));
+  };
+
+  return {
+    namespaced: true,
+
+    state: initialState,
+
+    mutations: {
+      REPLACE_ALL_RECORDS: (state, newRecords) => {
+        const records = newRecords.map(schema.deserialize);
+        const {
+          records: previousRecords,
+          loadedFields,
+          recordsFetchedWith,
+        } = state;
+        state.records = records.map(record => {
+          const existingRecord = findRecord(previousRecords, record.id);
+          return existingRecord
+            ? { ...existingRecord, ...mergeRecord(existingRecord, record) }
+            : record;
+        });
+        state.pristine = state.records.map(record =>
+          Object.freeze(cloneDeep(record)),
+        );
+        state.recordsFetchedAt = {};
+        markFetched(state, records);
+        state.loadedFields = records
+          .filter(({ id }) => loadedFields[id])
+          .reduce(
+            (acc, { id }) => Object.assign(acc, { [id]: loadedFields[id] }),
+            {},
+          );
+        markLoadedFields(state, records);
+        state.recordsFetchedWith = records
+          .filter(({ id }) => recordsFetchedWith[id])
+          .reduce(
+            (acc, { id }) =>
+              Object.assign(acc, { [id]: recordsFetchedWith[id] }),
+            {},
+          );
+      },
+
+      STORE_ALL_OPTIONS: (state, options) => {
+        state.allOptions = options;
+        state.allFetchedAt = Date.now();
+      },
+
+      // records loaded with include or sparse fieldsets are fresh for those
+      // options only, so their fetch times are kept per normalized options
+      MARK_FETCHED_WITH: (state, { id, options }) => {
+        state.recordsFetchedWith[id] = {
+          ...state.recordsFetchedWith[id],
+          [requestKey('options', options)]: Date.now(),
+        };
+      },
+
+      REPLACE_ALL_RELATED: (state, related) => {
+        state.related = related;
+      },
+
+      SET_STATUS: (state, status) => {
+        state.status = status;
+      },
+
+      SET_QUERY_STATUS: (state, { key, status, error = null }) => {
+        const previous = state.queries[key] || initialQuery;
+        const now = Date.now();
+        const query =
+          status === STATUS_LOADING
+            ? { ...previous, status, error, startedAt: now }
+            : { ...previous, status, error, finishedAt: now };
+        state.queries = { ...state.queries, [key]: query };
+      },
+
+      STORE_RECORD: (state, incomingRecord) => {
+        storeConfirmedRecord(state, schema.deserialize(incomingRecord));
+      },
+
+      // records that come from the store rather than the server, like the
+      // one passed to update, already hold deserialized attributes
+      STORE_UPDATED_RECORD: (state, record) => {
+        storeConfirmedRecord(state, record);
+      },
+
+      STORE_LOCAL_RECORD: (state, newRecord) => {
+        storeRecord(state.records)(newRecord);
+      },
+
+      STORE_PRISTINE: (state, records) => {
+        storePristine(state, records);
+      },
+
+      STORE_RECORDS: (state, incomingRecords) => {
+        const { records } = state;
+        const newRecords = incomingRecords.map(schema.deserialize);
+
+        newRecords.forEach(storeRecord(records));
+        markFetched(state, newRecords);
+        markLoadedFields(state, newRecords);
+        storePristine(state, newRecords);
+      },
 
-    state: initialState,
+      STORE_PAGE: (state, records) => {
+        state.page = records.map(({ id }) => id);
+        state.pageCursors = {
+          start: recordCursor(records[0]),
+          end: recordCursor(records[records.length - 1]),
+        };
+      },
 
-    mutations: {
-      REPLACE_ALL_RECORDS: (state, records) => {
-        state.records = records;
+      STORE_PAGE_META: (state, meta) => {
+        state.pageMeta = (meta && meta.page) || null;
       },
 
-      REPLACE_ALL_RELATED: (state, related) => {
-        state.related = related;
+      // every page loaded with loadPage is kept by its options, so that
+      // going back to it doesn't need another request
+      STORE_CACHED_PAGE: (state, { options, records, links, meta }) => {
+        const entry = {
+          pageIds: records.map(({ id }) => id),
+          cursors: {
+            start: recordCursor(records[0]),
+            end: recordCursor(records[records.length - 1]),
+          },
+          links: links || {},
+          meta: meta || null,
+          fetchedAt: Date.now(),
+        };
+        const existingEntry = findPage(state.pages, options);
+        if (existingEntry) {
+          Object.assign(existingEntry, entry);
+        } else {
+          state.pages.push({ options, ...entry });
+        }
       },
 
-      SET_STATUS: (state, status) => {
-        state.status = status;
+      SHOW_CACHED_PAGE: (state, { options }) => {
+        const entry = findPage(state.pages, options);
+        state.page = [...entry.pageIds];
+        state.pageCursors = entry.cursors;
+        state.pageOptions = options;
+        state.pageFetchedAt = entry.fetchedAt;
+        state.pageMeta = (entry.meta && entry.meta.page) || null;
+        state.links = entry.links;
       },
 
-      STORE_RECORD: (state, newRecord) => {
-        const { records } = state;
+      STORE_PAGE_OPTIONS: (state, options) => {
+        state.pageOptions = options;
+        state.pageFetchedAt = Date.now();
+      },
 
-        storeRecord(records)(newRecord);
+      START_ACCUMULATED: (state, options) => {
+        state.accumulated = [];
+        state.accumulatedOptions = options;
+        state.accumulatedLinks = {};
       },
 
-      STORE_RECORDS: (state, newRecords) => {
-        const { records } = state;
+      APPEND_ACCUMULATED: (state, records) => {
+        const ids = new Set(state.accumulated);
+        const newIds = records
+          .map(({ id }) => id)
+          .filter(id => !ids.has(id) && ids.add(id));
+        state.accumulated = [...state.accumulated, ...newIds];
+      },
 
-        newRecords.forEach(storeRecord(records));
+      // the list follows its own links, so loading a page elsewhere doesn't
+      // change where it continues
+      SET_ACCUMULATED_LINKS: (state, links) => {
+        state.accumulatedLinks = links || {};
       },
 
-      STORE_PAGE: (state, records) => {
-        state.page = records.map(({ id }) => id);
+      RESET_ACCUMULATED: state => {
+        state.accumulated = [];
+        state.accumulatedOptions = null;
+        state.accumulatedLinks = {};
       },
 
       STORE_META: (state, meta) => {
@@ -158,14 +1525,54 @@ const resourceModule = ({ name: resourceName, httpClient }) => {
         state.error = error;
       },
 
-      STORE_RELATED: (state, { relatedIds, params }) => {
+      // meta and links are only known when the relationship itself was
+      // loaded, so other updates to the linkage leave them as they are
+      // identifiers holds the relationship's full linkage across types, or is
+      // left undefined when only the ids of this module's records are known
+      STORE_RELATED: (
+        state,
+        { relatedIds, identifiers, params, meta, links },
+      ) => {
         const { related } = state;
         const relationshipIndex = getRelationshipIndex(params);
         const existingRecord = related.find(matches(relationshipIndex));
+        const fetchedAt = Date.now();
+        // like records, related records loaded with options are only fresh
+        // for those options
+        const fetchedWith = sameOptions(params.options, {})
+          ? {}
+          : { [requestKey('options', params.options)]: fetchedAt };
+        const relationshipInfo = {};
+        if (meta !== undefined) {
+          relationshipInfo.meta = meta;
+        }
+        if (links !== undefined) {
+          relationshipInfo.links = links;
+        }
         if (existingRecord) {
           existingRecord.relatedIds = relatedIds;
+          existingRecord.identifiers = identifiers;
+          existingRecord.fetchedAt = fetchedAt;
+          existingRecord.fetchedWith = {
+            ...existingRecord.fetchedWith,
+            ...fetchedWith,
+          };
+          Object.assign(existingRecord, relationshipInfo);
         } else {
-          related.push(Object.assign({ relatedIds }, relationshipIndex));
+          related.push(
+            Object.assign(
+              {
+                relatedIds,
+                identifiers,
+                fetchedAt,
+                fetchedWith,
+                meta: null,
+                links: null,
+              },
+              relationshipInfo,
+              relationshipIndex,
+            ),
+          );
         }
       },
 
@@ -173,233 +1580,788 @@ const resourceModule = ({ name: resourceName, httpClient }) => {
         const { filtered } = state;
 
         const existingRecord = filtered.find(matches(params));
+        const fetchedAt = Date.now();
         if (existingRecord) {
           existingRecord.matchedIds = matchedIds;
+          existingRecord.fetchedAt = fetchedAt;
         } else {
-          filtered.push(Object.assign({ matchedIds }, params));
+          filtered.push(Object.assign({ matchedIds, fetchedAt }, params));
         }
       },
 
       STORE_LAST_CREATED: (state, record) => {
-        state.lastCreated = record;
+        state.lastCreated =
+          findRecord(state.records, record.id) || schema.deserialize(record);
+      },
+
+      // a local record, like a snapshot being restored, is not deserialized
+      // again
+      REPLACE_RECORD: (state, { id, record: newRecord, local = false }) => {
+        const { records } = state;
+        const record = local ? newRecord : schema.deserialize(newRecord);
+        const existingRecord = findRecord(records, id);
+        if (existingRecord) {
+          records.splice(records.indexOf(existingRecord), 1, record);
+          indexFor(records).delete(String(id));
+        } else {
+          records.push(record);
+        }
+        indexFor(records).set(String(record.id), record);
+      },
+
+      // the change is confirmed by the server, so it's made to the pristine
+      // copy as well and doesn't show up as a local change
+      STORE_RELATIONSHIP: (state, { id, relationship, data }) => {
+        [state.records, state.pristine].forEach(records => {
+          const existingRecord = findRecord(records, id);
+          if (!existingRecord) {
+            return;
+          }
+          let newRecord = withRelationshipData(
+            existingRecord,
+            relationship,
+            data,
+          );
+          if (records === state.pristine) {
+            newRecord = Object.freeze(cloneDeep(newRecord));
+          }
+          records.splice(records.indexOf(existingRecord), 1, newRecord);
+          indexFor(records).set(String(id), newRecord);
+        });
+      },
+
+      // puts back a record along with what REMOVE_RECORD dropped for it
+      INSERT_RECORD: (
+        state,
+        { record, index, pristine, fetchedAt, loadedFields },
+      ) => {
+        const { id } = record;
+        state.records.splice(index, 0, record);
+        indexFor(state.records).set(String(id), record);
+        if (pristine) {
+          state.pristine.push(pristine);
+          indexFor(state.pristine).set(String(id), pristine);
+        }
+        if (fetchedAt !== undefined) {
+          state.recordsFetchedAt[id] = fetchedAt;
+        }
+        if (loadedFields) {
+          state.loadedFields = { ...state.loadedFields, [id]: loadedFields };
+        }
       },
 
       REMOVE_RECORD: (state, record) => {
         state.records = state.records.filter(r => r.id !== record.id);
+        state.pristine = state.pristine.filter(r => r.id !== record.id);
+        delete state.recordsFetchedAt[record.id];
+        delete state.recordsFetchedWith[record.id];
+        const {
+          [record.id]: removedFields,
+          ...loadedFields
+        } = state.loadedFields;
+        state.loadedFields = loadedFields;
+      },
+
+      // a deleted record can still be referenced from the indexes of its own
+      // module and from the linkage of records in any module
+      REMOVE_REFERENCES: (state, { name, type, id, removeRelated }) => {
+        const remaining = otherId => String(otherId) !== String(id);
+        const isDeleted = identifier =>
+          Boolean(identifier) &&
+          identifier.type === type &&
+          !remaining(identifier.id);
+
+        if (name === resourceName) {
+          state.page = state.page.filter(remaining);
+          state.accumulated = state.accumulated.filter(remaining);
+          state.filtered.forEach(entry => {
+            entry.matchedIds = entry.matchedIds.filter(remaining);
+          });
+          state.pages.forEach(entry => {
+            entry.pageIds = entry.pageIds.filter(remaining);
+          });
+          state.related.forEach(entry => {
+            const { relatedIds } = entry;
+            if (Array.isArray(relatedIds)) {
+              entry.relatedIds = relatedIds.filter(remaining);
+            } else if (
+              relatedIds !== null &&
+              relatedIds !== undefined &&
+              !remaining(relatedIds)
+            ) {
+              entry.relatedIds = null;
+            }
+          });
+        }
+
+        if (removeRelated) {
+          state.related = state.related.filter(
+            entry => !isDeleted(entry.parent),
+          );
+        }
+
+        state.related.forEach(entry => {
+          const { identifiers } = entry;
+          if (Array.isArray(identifiers)) {
+            entry.identifiers = identifiers.filter(
+              identifier => !isDeleted(identifier),
+            );
+          } else if (isDeleted(identifiers)) {
+            entry.identifiers = null;
+          }
+        });
+
+        const prunedLinkage = data =>
+          Array.isArray(data)
+            ? data.filter(identifier => !isDeleted(identifier))
+            : null;
+        const linkingRelationships = record =>
+          Object.keys(record.relationships || {}).filter(relationship => {
+            const { data } = record.relationships[relationship] || {};
+            return Array.isArray(data) ? data.some(isDeleted) : isDeleted(data);
+          });
+
+        state.records.forEach(record => {
+          linkingRelationships(record).forEach(relationship => {
+            const relationshipObject = record.relationships[relationship];
+            relationshipObject.data = prunedLinkage(relationshipObject.data);
+          });
+        });
+
+        // pristine copies are frozen, so they are replaced instead
+        state.pristine.forEach((snapshot, index) => {
+          const relationships = linkingRelationships(snapshot);
+          if (relationships.length === 0) {
+            return;
+          }
+          const newSnapshot = Object.freeze(
+            cloneDeep(
+              relationships.reduce(
+                (acc, relationship) =>
+                  withRelationshipData(
+                    acc,
+                    relationship,
+                    prunedLinkage(acc.relationships[relationship].data),
+                  ),
+                snapshot,
+              ),
+            ),
+          );
+          state.pristine.splice(index, 1, newSnapshot);
+          indexFor(state.pristine).set(String(snapshot.id), newSnapshot);
+        });
       },
 
       SET_LINKS: (state, links) => {
         state.links = links || {};
       },
 
+      ENQUEUE_WRITE: (state, write) => {
+        state.queue.push(write);
+      },
+
+      DEQUEUE_WRITE: (state, write) => {
+        state.queue = state.queue.filter(w => w.id !== write.id);
+      },
+
+      STORE_FAILED_WRITE: (state, write) => {
+        state.failedWrites.push(write);
+      },
+
+      CLEAR_FAILED_WRITES: state => {
+        state.failedWrites = [];
+      },
+
+      STORE_WRITE_ERROR: (state, { action, id, error }) => {
+        const target = writeTarget({ action, id });
+        state.writeErrors = [
+          ...state.writeErrors.filter(entry => !matches(target)(entry)),
+          { ...target, ...normalizeError(error) },
+        ];
+      },
+
+      CLEAR_WRITE_ERRORS: (state, criteria) => {
+        state.writeErrors = state.writeErrors.filter(
+          entry => !matches(criteria)(entry),
+        );
+      },
+
+      REMAP_QUEUED_ID: (state, remap) => {
+        const remapLinkage = remapIdentifier(remap);
+        state.queue.forEach(({ record }) => {
+          Object.assign(record, remapLinkage(record));
+          Object.values(record.relationships || {}).forEach(relationship => {
+            const { data } = relationship;
+            relationship.data = Array.isArray(data)
+              ? data.map(remapLinkage)
+              : remapLinkage(data);
+          });
+        });
+      },
+
+      REHYDRATE: (state, snapshot) => {
+        Object.keys(snapshot)
+          .filter(field => field in state)
+          .forEach(field => {
+            state[field] = snapshot[field];
+          });
+        if (snapshot.records) {
+          // stored records went through JSON, which turned dates into
+          // strings, so they are read back the way they'd be sent and
+          // received again
+          state.records = snapshot.records.map(record =>
+            schema.deserialize(schema.serialize(record)),
+          );
+          state.pristine = state.records.map(record =>
+            Object.freeze(cloneDeep(record)),
+          );
+          state.loadedFields = {};
+          markLoadedFields(state, state.records);
+        }
+      },
+
       RESET_STATE: state => {
         Object.assign(state, initialState());
       },
     },
 
     actions: {
-      loadAll({ commit, dispatch }, { options } = {}) {
-        commit('SET_STATUS', STATUS_LOADING);
-        return client
-          .all({ options })
-          .then(result => {
-            commit('SET_STATUS', STATUS_SUCCESS);
-            commit('REPLACE_ALL_RECORDS', result.data);
-            commit('STORE_META', result.meta);
-            storeIncluded({ commit, dispatch }, result);
-          })
-          .catch(handleError(commit));
-      },
-
-      loadById({ commit, dispatch }, { id, options }) {
-        commit('SET_STATUS', STATUS_LOADING);
-        return client
-          .find({ id, options })
-          .then(results => {
-            commit('SET_STATUS', STATUS_SUCCESS);
-            commit('STORE_RECORD', results.data);
-            commit('STORE_META', results.meta);
-            storeIncluded({ commit, dispatch }, results);
-          })
-          .catch(handleError(commit));
+      loadAll({ commit, dispatch, state }, params = {}) {
+        const { options } = params;
+        if (
+          sameOptions(state.allOptions, options) &&
+          canUseCache(params, state.allFetchedAt)
+        ) {
+          return Promise.resolve();
+        }
+
+        const key = requestKey('loadAll', { options });
+        const queryKey = queryKeys.All();
+        return dedupeRequest(state, key, () => {
+          commit('SET_STATUS', STATUS_LOADING);
+          commit('SET_QUERY_STATUS', { key: queryKey, status: STATUS_LOADING });
+          return client
+            .all({ options })
+            .then(result => {
+              commit('SET_STATUS', STATUS_SUCCESS);
+              commit('SET_QUERY_STATUS', {
+                key: queryKey,
+                status: STATUS_SUCCESS,
+              });
+              commit('REPLACE_ALL_RECORDS', result.data);
+              commit('STORE_ALL_OPTIONS', options);
+              commit('STORE_META', result.meta);
+              storeIncluded(
+                { commit, dispatch, ensureModule: ensureModule(this) },
+                result,
+              );
+            })
+            .catch(handleError(commit, queryKey));
+        });
+      },
+
+      loadById({ commit, dispatch, state }, params) {
+        const { id, options } = params;
+        const cached = Boolean(findRecord(state.records, id));
+        const fetchedAt = sameOptions(options, {})
+          ? state.recordsFetchedAt[id]
+          : (state.recordsFetchedWith[id] || {})[
+              requestKey('options', options)
+            ];
+        if (cached && canUseCache(params, fetchedAt)) {
+          return Promise.resolve();
+        }
+
+        const key = requestKey('loadById', { id: String(id), options });
+        const queryKey = queryKeys.ById({ id });
+        return dedupeRequest(state, key, () => {
+          commit('SET_STATUS', STATUS_LOADING);
+          commit('SET_QUERY_STATUS', { key: queryKey, status: STATUS_LOADING });
+          return client
+            .find({ id, options })
+            .then(results => {
+              commit('SET_STATUS', STATUS_SUCCESS);
+              commit('SET_QUERY_STATUS', {
+                key: queryKey,
+                status: STATUS_SUCCESS,
+              });
+              commit('STORE_RECORD', results.data);
+              commit('MARK_FETCHED_WITH', { id: results.data.id, options });
+              commit('STORE_META', results.meta);
+              storeIncluded(
+                { commit, dispatch, ensureModule: ensureModule(this) },
+                results,
+              );
+            })
+            .catch(handleError(commit, queryKey));
+        });
       },
 
-      loadWhere({ commit, dispatch }, params) {
+      loadWhere({ commit, dispatch, state }, paramsWithCache) {
+        const { cachePolicy, maxAge, ...params } = paramsWithCache;
         const { filter, options } = params;
-        commit('SET_STATUS', STATUS_LOADING);
-        return client
-          .where({ filter, options })
-          .then(results => {
-            commit('SET_STATUS', STATUS_SUCCESS);
-            const matches = results.data;
-            const matchedIds = matches.map(record => record.id);
-            commit('STORE_RECORDS', matches);
-            commit('STORE_FILTERED', { params, matchedIds });
-            commit('STORE_META', results.meta);
-            storeIncluded({ commit, dispatch }, results);
-          })
-          .catch(handleError(commit));
+        const entry = state.filtered.find(matches(params));
+        if (entry && canUseCache(paramsWithCache, entry.fetchedAt)) {
+          return Promise.resolve();
+        }
+
+        const key = requestKey('loadWhere', params);
+        const queryKey = queryKeys.Where(params);
+        return dedupeRequest(state, key, () => {
+          commit('SET_STATUS', STATUS_LOADING);
+          commit('SET_QUERY_STATUS', { key: queryKey, status: STATUS_LOADING });
+          return client
+            .where({ filter, options })
+            .then(results => {
+              commit('SET_STATUS', STATUS_SUCCESS);
+              commit('SET_QUERY_STATUS', {
+                key: queryKey,
+                status: STATUS_SUCCESS,
+              });
+              const matches = results.data;
+              const matchedIds = matches.map(record => record.id);
+              commit('STORE_RECORDS', matches);
+              commit('STORE_FILTERED', { params, matchedIds });
+              commit('STORE_META', results.meta);
+              storeIncluded(
+                { commit, dispatch, ensureModule: ensureModule(this) },
+                results,
+              );
+            })
+            .catch(handleError(commit, queryKey));
+        });
       },
 
-      loadPage({ commit, dispatch }, { options }) {
-        commit('SET_STATUS', STATUS_LOADING);
-        return client
-          .all({ options })
-          .then(response => {
-            commit('SET_STATUS', STATUS_SUCCESS);
-            commit('STORE_RECORDS', response.data);
-            commit('STORE_PAGE', response.data);
-            commit('STORE_META', response.meta);
-            commit('SET_LINKS', response.links);
-            storeIncluded({ commit, dispatch }, response);
-          })
-          .catch(handleError(commit));
+      loadPage({ commit, dispatch, state }, params) {
+        const { options } = params;
+        const entry = findPage(state.pages, options);
+        if (entry && canUseCache(params, entry.fetchedAt)) {
+          commit('SHOW_CACHED_PAGE', { options });
+          return Promise.resolve();
+        }
+
+        const key = requestKey('loadPage', { options });
+        const queryKey = queryKeys.Page({ options });
+        return dedupeRequest(state, key, () => {
+          commit('SET_STATUS', STATUS_LOADING);
+          commit('SET_QUERY_STATUS', { key: queryKey, status: STATUS_LOADING });
+          return client
+            .all({ options })
+            .then(response => {
+              commit('SET_STATUS', STATUS_SUCCESS);
+              commit('SET_QUERY_STATUS', {
+                key: queryKey,
+                status: STATUS_SUCCESS,
+              });
+              commit('STORE_RECORDS', response.data);
+              commit('STORE_PAGE', response.data);
+              commit('STORE_PAGE_OPTIONS', options);
+              commit('STORE_META', response.meta);
+              commit('STORE_PAGE_META', response.meta);
+              commit('SET_LINKS', response.links);
+              commit('STORE_CACHED_PAGE', {
+                options,
+                records: response.data,
+                links: response.links,
+                meta: response.meta,
+              });
+              storeIncluded(
+                { commit, dispatch, ensureModule: ensureModule(this) },
+                response,
+              );
+            })
+            .catch(handleError(commit, queryKey));
+        });
       },
 
-      loadNextPage({ commit, state, dispatch }) {
-        const options = {
-          url: state.links.next,
-        };
-        return client.all({ options }).then(response => {
-          commit('STORE_RECORDS', response.data);
-          commit('STORE_PAGE', response.data);
-          commit('SET_LINKS', response.links);
-          commit('STORE_META', response.meta);
-          storeIncluded({ commit, dispatch }, response);
+      loadNextPage(context) {
+        return loadLinkedPage(this, context, 'next', queryKeys.NextPage());
+      },
+
+      loadPreviousPage(context) {
+        return loadLinkedPage(this, context, 'prev', queryKeys.PreviousPage());
+      },
+
+      loadFirstPage(context) {
+        return loadLinkedPage(this, context, 'first', queryKeys.FirstPage());
+      },
+
+      loadLastPage(context) {
+        return loadLinkedPage(this, context, 'last', queryKeys.LastPage());
+      },
+
+      loadMore({ commit, dispatch, state }, { options } = {}) {
+        const started = state.accumulatedOptions !== null;
+        const changed =
+          options !== undefined &&
+          !deepEquals(
+            normalizeParams(state.accumulatedOptions),
+            normalizeParams(options),
+          );
+        if (!started || changed) {
+          commit('START_ACCUMULATED', { ...options });
+        }
+
+        // until a page has come back the first page is requested again, so
+        // that a failed first load can be retried
+        const firstPage = state.accumulated.length === 0;
+        if (!firstPage && !state.accumulatedLinks.next) {
+          return Promise.resolve();
+        }
+
+        // a reset or a new filter while a page is loading starts a new list,
+        // so the page that comes back for the old one is not appended to it
+        const list = state.accumulatedOptions;
+        const requestOptions = firstPage
+          ? list
+          : { url: linkHref(state.accumulatedLinks.next) };
+        const key = requestKey('loadMore', { options: requestOptions });
+        const queryKey = queryKeys.More();
+        return dedupeRequest(state, key, () => {
+          commit('SET_STATUS', STATUS_LOADING);
+          commit('SET_QUERY_STATUS', { key: queryKey, status: STATUS_LOADING });
+          return client
+            .all({ options: requestOptions })
+            .then(response => {
+              commit('SET_STATUS', STATUS_SUCCESS);
+              commit('SET_QUERY_STATUS', {
+                key: queryKey,
+                status: STATUS_SUCCESS,
+              });
+              commit('STORE_RECORDS', response.data);
+              storeIncluded(
+                { commit, dispatch, ensureModule: ensureModule(this) },
+                response,
+              );
+              if (state.accumulatedOptions === list) {
+                commit('APPEND_ACCUMULATED', response.data);
+                commit('STORE_META', response.meta);
+                commit('SET_ACCUMULATED_LINKS', response.links);
+              }
+            })
+            .catch(handleError(commit, queryKey));
         });
       },
 
-      loadPreviousPage({ commit, state, dispatch }) {
-        const options = {
-          url: state.links.prev,
-        };
-        return client.all({ options }).then(response => {
-          commit('STORE_RECORDS', response.data);
-          commit('STORE_PAGE', response.data);
-          commit('SET_LINKS', response.links);
-          commit('STORE_META', response.meta);
-          storeIncluded({ commit, dispatch }, response);
+      resetAccumulated({ commit }) {
+        commit('RESET_ACCUMULATED');
+      },
+
+      loadRelationship(context, paramsWithCache) {
+        const { commit, state, getters, rootGetters } = context;
+        const { cachePolicy, maxAge, ...params } = paramsWithCache;
+        const { parent, relationship = resourceName } = params;
+        const entry = state.related.find(matches(getRelationshipIndex(params)));
+        const cached =
+          entry && entry.relatedIds !== null && entry.relatedIds !== undefined;
+        if (cached && canUseCache(paramsWithCache, entry.fetchedAt)) {
+          return Promise.resolve();
+        }
+
+        // only the linkage is requested; the records it points to resolve
+        // through the related getter if they are already in the store
+        const parentClient = relationshipClient({
+          name: parent.type,
+          httpClient,
+        });
+        const key = requestKey(
+          'loadRelationship',
+          getRelationshipIndex(params),
+        );
+        const queryKey = queryKeys.Relationship(params);
+        return dedupeRequest(state, key, () => {
+          commit('SET_STATUS', STATUS_LOADING);
+          commit('SET_QUERY_STATUS', { key: queryKey, status: STATUS_LOADING });
+          const parentRecord =
+            findIdentifier(getters, rootGetters, parent) || parent;
+          return parentClient
+            .load({
+              id: parent.id,
+              relationship,
+              url: relationshipLink(parentRecord, relationship, 'self'),
+            })
+            .then(({ data, meta = null, links = null }) => {
+              commit('SET_STATUS', STATUS_SUCCESS);
+              commit('SET_QUERY_STATUS', {
+                key: queryKey,
+                status: STATUS_SUCCESS,
+              });
+              storeLoadedLinkage(context, {
+                params: { parent, relationship },
+                data,
+                meta,
+                links,
+              });
+            })
+            .catch(handleError(commit, queryKey));
         });
       },
 
-      loadRelated({ commit, dispatch }, params) {
+      loadRelated(context, paramsWithCache) {
+        const {
+          commit,
+          dispatch,
+          state,
+          rootState,
+          getters,
+          rootGetters,
+        } = context;
+        const { cachePolicy, maxAge, ...params } = paramsWithCache;
         const { parent, relationship = resourceName, options } = params;
-        commit('SET_STATUS', STATUS_LOADING);
+        const entry = state.related.find(matches(getRelationshipIndex(params)));
+        // linkage can be known without the records, like after
+        // loadRelationship, so only linked records that are in the store
+        // count as cached
+        const cached =
+          entry &&
+          entry.relatedIds !== null &&
+          entry.relatedIds !== undefined &&
+          []
+            .concat(entry.relatedIds)
+            .every(id => findRecord(state.records, id) !== undefined);
+        if (
+          cached &&
+          canUseCache(paramsWithCache, relatedFetchedAt(entry, options))
+        ) {
+          return Promise.resolve();
+        }
+
         const paramsToStore = {
           ...params,
           relationship,
         };
-        return client
-          .related({ parent, relationship, options })
-          .then(results => {
-            commit('SET_STATUS', STATUS_SUCCESS);
-            const { id, type } = parent;
-            if (Array.isArray(results.data)) {
-              const relatedRecords = results.data;
-              const relatedIds = relatedRecords.map(record => record.id);
-              commit('STORE_RECORDS', relatedRecords);
-              commit('STORE_RELATED', { params: paramsToStore, relatedIds });
-            } else {
-              const record = results.data;
-              const relatedIds = record.id;
-              commit('STORE_RECORDS', [record]);
-              commit('STORE_RELATED', { params: paramsToStore, relatedIds });
-            }
-            commit('STORE_META', results.meta);
-            storeIncluded({ commit, dispatch }, results);
-          })
-          .catch(handleError(commit));
+        const key = requestKey('loadRelated', {
+          parent: getResourceIdentifier(parent),
+          relationship,
+          options,
+        });
+        const queryKey = queryKeys.Related(params);
+        return dedupeRequest(state, key, () => {
+          commit('SET_STATUS', STATUS_LOADING);
+          commit('SET_QUERY_STATUS', { key: queryKey, status: STATUS_LOADING });
+          // a related link the server gave for the parent is followed as is
+          const parentRecord =
+            findIdentifier(getters, rootGetters, parent) || parent;
+          const url = relationshipLink(parentRecord, relationship, 'related');
+          const request = url
+            ? links.get(url, options)
+            : client.related({ parent, relationship, options });
+          return request
+            .then(results => {
+              commit('SET_STATUS', STATUS_SUCCESS);
+              commit('SET_QUERY_STATUS', {
+                key: queryKey,
+                status: STATUS_SUCCESS,
+              });
+              const otherModules = resourceModuleNames(rootState).filter(
+                name => name !== resourceName,
+              );
+              const relatedRecords = linkageIdentifiers(results.data);
+              commit(
+                'STORE_RECORDS',
+                relatedRecords.filter(
+                  record => !otherModules.includes(record.type),
+                ),
+              );
+              relatedRecords
+                .filter(record => otherModules.includes(record.type))
+                .forEach(record => {
+                  dispatch(`${record.type}/storeRecord`, record, {
+                    root: true,
+                  });
+                });
+              storeLoadedLinkage(context, {
+                params: paramsToStore,
+                data: results.data,
+              });
+              commit('STORE_META', results.meta);
+              storeIncluded(
+                { commit, dispatch, ensureModule: ensureModule(this) },
+                results,
+              );
+            })
+            .catch(handleError(commit, queryKey));
+        });
       },
 
-      create({ commit }, recordData) {
-        return client.create(recordData).then(result => {
-          commit('STORE_RECORD', result.data);
-          commit('STORE_LAST_CREATED', result.data);
+      create(context, recordData) {
+        const newRecordData = schema.withDefaults(recordData);
+        return trackWriteErrors(context, { action: 'create' }, () => {
+          const failure = validationFailure(newRecordData);
+          return failure
+            ? Promise.reject(failure)
+            : writeOrQueue(context, 'create', newRecordData);
         });
       },
 
-      update({ commit, dispatch, getters }, record) {
-        return client.update(record).then(() => {
-          const oldRecord = getters.byId({ id: record.id });
-
-          // remove old relationships first
-          if (oldRecord && oldRecord.relationships) {
-            for (const entry of Object.entries(oldRecord.relationships)) {
-              const [relationship, entity] = entry;
-              const type = getRelationshipType(entity);
-              const paramsToStore = {
-                relationship,
-                parent: getResourceIdentifier(oldRecord),
-              };
-
-              dispatch(
-                `${type}/storeRelated`,
-                {
-                  params: paramsToStore,
-                  relatedIds: null,
-                },
-                { root: true },
-              );
-            }
+      update(context, record) {
+        const target = { action: 'update', id: record.id };
+        return trackWriteErrors(context, target, () => {
+          const failure = validationFailure(record, {
+            partial: true,
+            storedRecord: findRecord(context.state.records, record.id),
+          });
+          return failure
+            ? Promise.reject(failure)
+            : writeOrQueue(context, 'update', record);
+        });
+      },
+
+      delete(context, record) {
+        const target = { action: 'delete', id: record.id };
+        return trackWriteErrors(context, target, () =>
+          writeOrQueue(context, 'delete', record),
+        );
+      },
+
+      clearWriteErrors({ commit }, { id, action } = {}) {
+        const criteria = {};
+        if (id !== undefined) {
+          criteria.id = writeTarget({ id }).id;
+        }
+        if (action !== undefined) {
+          criteria.action = action;
+        }
+        commit('CLEAR_WRITE_ERRORS', criteria);
+      },
+
+      replayQueue(context) {
+        const { commit, state } = context;
+
+        const replayNext = () => {
+          const [write] = state.queue;
+          if (!write) {
+            return undefined;
           }
 
-          // save entity
-          commit('STORE_RECORD', record);
-
-          // set new relationships
-          if (record.relationships) {
-            for (const relationship of Object.keys(record.relationships)) {
-              const relationshipObject = record.relationships[relationship];
-              const { data } = relationshipObject;
-              const isNonEmptyArray =
-                Array.isArray(data) && Boolean(data.length);
-              const isObject = Boolean(data && data.type && data.id);
-
-              if (isNonEmptyArray || isObject) {
-                const paramsToStore = {
-                  parent: getResourceIdentifier(record),
-                  relationship,
-                };
-                const type = getRelationshipType(relationshipObject);
-                let relatedIds;
-                if (Array.isArray(data)) {
-                  relatedIds = data.map(record => record.id);
-                } else {
-                  relatedIds = data.id;
-                }
-                dispatch(
-                  `${type}/storeRelated`,
-                  {
-                    params: paramsToStore,
-                    relatedIds,
-                  },
-                  { root: true },
-                );
+          return replayWrite(context, write).then(
+            () => {
+              commit('DEQUEUE_WRITE', write);
+              return replayNext();
+            },
+            error => {
+              // still offline: keep the write and the ones after it queued
+              if (isNetworkError(error)) {
+                return undefined;
               }
-            }
-          }
-        });
+              commit('DEQUEUE_WRITE', write);
+              commit('STORE_FAILED_WRITE', { ...write, error });
+              commit('STORE_WRITE_ERROR', {
+                action: write.action,
+                id: write.record.id,
+                error,
+              });
+              return replayNext();
+            },
+          );
+        };
+
+        const key = requestKey('replayQueue', {});
+        return dedupeRequest(state, key, () =>
+          Promise.resolve().then(replayNext),
+        );
       },
 
-      delete({ commit }, record) {
-        return client.delete(record).then(() => {
-          commit('REMOVE_RECORD', record);
-        });
+      clearFailedWrites({ commit }) {
+        commit('CLEAR_FAILED_WRITES');
       },
 
       storeRecord({ commit }, record) {
         commit('STORE_RECORD', record);
       },
 
-      storeRelated({ commit }, { relatedIds, params }) {
+      // resources of other types are stored in their own modules. A type
+      // without a module is skipped unless unknownTypes says how to handle it
+      ingestDocument(context, document) {
+        const { commit, dispatch, getters, rootGetters, rootState } = context;
+        const otherModules = resourceModuleNames(rootState).filter(
+          name => name !== resourceName,
+        );
+        const isOwn = ({ type }) => type === resourceName;
+        const canStore = resource =>
+          isOwn(resource) ||
+          otherModules.includes(resource.type) ||
+          Boolean(unknownTypes);
+        const ensureType = ensureModule(this);
+
+        ingestResources(
+          {
+            dispatch,
+            ensureModule: ensureType,
+            accepts: canStore,
+            findStored: resource =>
+              isOwn(resource)
+                ? getters.byId({ id: resource.id })
+                : findIdentifier(getters, rootGetters, resource),
+            storeResource: resource => {
+              if (isOwn(resource)) {
+                commit('STORE_RECORD', resource);
+              } else {
+                ensureType(resource.type);
+                dispatch(`${resource.type}/storeRecord`, resource, {
+                  root: true,
+                });
+              }
+            },
+            removeResource: identifier => {
+              if (isOwn(identifier)) {
+                dispatch('removeRecord', identifier);
+              } else if (otherModules.includes(identifier.type)) {
+                dispatch(`${identifier.type}/removeRecord`, identifier, {
+                  root: true,
+                });
+              }
+            },
+          },
+          document,
+        );
+        if (document.meta) {
+          commit('STORE_META', document.meta);
+        }
+      },
+
+      addToRelationship(context, params) {
+        return writeRelationship(context, 'add', params);
+      },
+
+      removeFromRelationship(context, params) {
+        return writeRelationship(context, 'remove', params);
+      },
+
+      replaceRelationship(context, params) {
+        return writeRelationship(context, 'replace', params);
+      },
+
+      storeRelationshipChange(context, change) {
+        storeRelationshipChange(context, change);
+      },
+
+      storeRelated({ commit }, { relatedIds, identifiers, params }) {
         commit('STORE_RELATED', {
           relatedIds,
+          identifiers,
           params,
         });
       },
 
-      removeRecord({ commit }, record) {
+      rollback({ commit, state }, { id }) {
+        const snapshot = findRecord(state.pristine, id);
+        if (snapshot) {
+          commit('REPLACE_RECORD', {
+            id,
+            record: cloneDeep(snapshot),
+            local: true,
+          });
+        }
+      },
+
+      removeRecord(context, record) {
+        const { commit, state } = context;
+        const identifier = deletedIdentifier(
+          findRecord(state.records, record.id) || record,
+        );
         commit('REMOVE_RECORD', record);
+        removeReferences(context, identifier);
       },
 
       resetState({ commit }) {
@@ -408,17 +2370,169 @@ const resourceModule = ({ name: resourceName, httpClient }) => {
     },
 
     getters: {
-      isLoading: state => state.status === STATUS_LOADING,
-      isError: state => state.status === STATUS_ERROR,
+      isLoading: state =>
+        Object.values(state.queries).some(
+          query => query.status === STATUS_LOADING,
+        ),
+      isError: state =>
+        Object.values(state.queries).some(
+          query => query.status === STATUS_ERROR,
+        ),
+      ...queryGetters,
       error: state => state.error,
+      writeErrors: state => state.writeErrors,
+      // without an action, the error of the last failed write of the record;
+      // errors of creates that aren't queued aren't tied to an ID
+      writeError: state => ({ id, action } = {}) => {
+        const target = writeTarget({ action, id });
+        const entries = state.writeErrors.filter(
+          entry =>
+            entry.id === target.id && (!action || entry.action === action),
+        );
+        return entries.length > 0 ? entries[entries.length - 1] : null;
+      },
+      errorsFor: (state, getters) => ({ id, action, pointer }) => {
+        const entry = getters.writeError({ id, action });
+        if (!entry) {
+          return [];
+        }
+        return pointer
+          ? entry.errors.filter(error => error.pointer === pointer)
+          : entry.errors;
+      },
       hasPrevious: state => !!state.links.prev,
       hasNext: state => !!state.links.next,
+      hasMore: state => !!state.accumulatedLinks.next,
+      hasFirst: state => !!state.links.first,
+      hasLast: state => !!state.links.last,
+      pageCursors: state => state.pageCursors,
+      pageMeta: state => state.pageMeta,
       all: state => state.records,
       lastCreated: state => state.lastCreated,
-      byId: state => ({ id }) => state.records.find(r => r.id == id),
+      pendingWrites: state => state.queue,
+      failedWrites: state => state.failedWrites,
+      byId: state => ({ id }) => findRecord(state.records, id),
+      query: state => params => queryRecords(state.records, params),
+      // fields can be given as a list or as a comma-separated string, like
+      // the fields[type] option of a sparse fieldset
+      hasFields: state => ({ id, fields }) => {
+        const loadedFields = state.loadedFields[id];
+        if (!loadedFields) {
+          return false;
+        }
+        const names = Array.isArray(fields) ? fields : fields.split(',');
+        return names.every(name => loadedFields.includes(name.trim()));
+      },
+      changedAttributes: state => ({ id }) => {
+        const record = findRecord(state.records, id);
+        const snapshot = findRecord(state.pristine, id);
+        if (!record || !snapshot) {
+          return {};
+        }
+        return changedFields(record.attributes, snapshot.attributes);
+      },
+      changedRelationships: state => ({ id }) => {
+        const record = findRecord(state.records, id);
+        const snapshot = findRecord(state.pristine, id);
+        if (!record || !snapshot) {
+          return {};
+        }
+        return changedFields(record.relationships, snapshot.relationships);
+      },
+      hydrated: (state, getters, rootState, rootGetters) => ({
+        id,
+        include = '',
+      }) => {
+        const moduleGetter = (type, name) =>
+          rootGetters[`${type}/${name}`] ||
+          (type === resourceName ? getters[name] : undefined);
+
+        const findByIdentifier = identifier =>
+          findIdentifier(getters, rootGetters, identifier);
+
+        const findRelated = (record, relationship) => {
+          const linkage =
+            record.relationships && record.relationships[relationship];
+          if (linkage && linkage.data !== undefined) {
+            const { data } = linkage;
+            if (Array.isArray(data)) {
+              return data.map(findByIdentifier).filter(Boolean);
+            }
+            return (data && findByIdentifier(data)) || null;
+          }
+
+          // without linkage on the record, look for the relationship in the
+          // related index of every resource module
+          const parent = getResourceIdentifier(record);
+          const names = [...resourceModuleNames(rootState), resourceName];
+          for (const name of names) {
+            const related = moduleGetter(name, 'relatedMixed');
+            const result = related && related({ parent, relationship });
+            if (result !== null && result !== undefined) {
+              return result;
+            }
+          }
+          const isOwnRecord = findRecord(state.records, record.id) === record;
+          return isOwnRecord && schema.isToMany(relationship) ? [] : null;
+        };
+
+        // records reached more than once with the same includes left to
+        // resolve are hydrated once, and the same object is reused
+        const hydratedRecords = new Map();
+        const hydrate = (record, includeTree) => {
+          const key = `${record.type}:${record.id}:${JSON.stringify(
+            includeTree,
+          )}`;
+          if (hydratedRecords.has(key)) {
+            return hydratedRecords.get(key);
+          }
+
+          const result = { ...record };
+          hydratedRecords.set(key, result);
+          Object.keys(includeTree).forEach(relationship => {
+            const related = findRelated(record, relationship);
+            const subtree = includeTree[relationship];
+            if (Array.isArray(related)) {
+              result[relationship] = related.map(r => hydrate(r, subtree));
+            } else {
+              result[relationship] = related && hydrate(related, subtree);
+            }
+          });
+          return result;
+        };
+
+        const record = getters.byId({ id });
+        return record ? hydrate(record, parseInclude(include)) : null;
+      },
+      isDirty: (state, getters) => ({ id }) =>
+        Object.keys(getters.changedAttributes({ id })).length > 0 ||
+        Object.keys(getters.changedRelationships({ id })).length > 0,
       lastMeta: state => state.lastMeta,
       page: state =>
-        state.page.map(id => state.records.find(record => record.id === id)),
+        state.page
+          .map(id => findRecord(state.records, id))
+          .filter(record => record !== undefined),
+      accumulated: state =>
+        state.accumulated
+          .map(id => findRecord(state.records, id))
+          .filter(record => record !== undefined),
+      pageFor: state => ({ options } = {}) => {
+        const entry = findPage(state.pages, options);
+        if (!entry) {
+          return [];
+        }
+        return entry.pageIds
+          .map(id => findRecord(state.records, id))
+          .filter(record => record !== undefined);
+      },
+      pageLinksFor: state => ({ options } = {}) => {
+        const entry = findPage(state.pages, options);
+        return entry ? entry.links : null;
+      },
+      pageMetaFor: state => ({ options } = {}) => {
+        const entry = findPage(state.pages, options);
+        return entry ? entry.meta : null;
+      },
       where: state => params => {
         const entry = state.filtered.find(matches(params));
 
@@ -427,7 +2541,30 @@ const resourceModule = ({ name: resourceName, httpClient }) => {
         }
 
         const ids = entry.matchedIds;
-        return ids.map(id => state.records.find(record => record.id === id));
+        return ids
+          .map(id => findRecord(state.records, id))
+          .filter(record => record !== undefined);
+      },
+      relationshipMeta: state => params => {
+        const entry = state.related.find(matches(getRelationshipIndex(params)));
+        return entry ? entry.meta : null;
+      },
+      relationshipLinks: state => params => {
+        const entry = state.related.find(matches(getRelationshipIndex(params)));
+        return entry ? entry.links : null;
+      },
+      relatedMixed: (state, getters, rootState, rootGetters) => params => {
+        const entry = state.related.find(matches(getRelationshipIndex(params)));
+        if (!entry || entry.identifiers === undefined) {
+          return getters.related(params);
+        } else if (Array.isArray(entry.identifiers)) {
+          return entry.identifiers
+            .map(identifier => findIdentifier(getters, rootGetters, identifier))
+            .filter(record => record !== undefined);
+        } else if (entry.identifiers) {
+          return findIdentifier(getters, rootGetters, entry.identifiers);
+        }
+        return null;
       },
       related: state => params => {
         const relationshipIndex = getRelationshipIndex(params);
@@ -438,22 +2575,166 @@ const resourceModule = ({ name: resourceName, httpClient }) => {
         } else if (Array.isArray(related.relatedIds)) {
           const ids = related.relatedIds;
           return ids
-            .map(id => state.records.find(record => record.id === id))
+            .map(id => findRecord(state.records, id))
             .filter(record => record !== undefined);
         } else {
           const id = related.relatedIds;
-          return state.records.find(record => id === record.id);
+          return findRecord(state.records, id);
         }
       },
     },
   };
 };
 
-const mapResourceModules = ({ names, httpClient }) =>
+const mapResourceModules = ({ names, httpClient, unknownTypes }) =>
   names.reduce(
     (acc, name) =>
-      Object.assign({ [name]: resourceModule({ name, httpClient }) }, acc),
+      Object.assign(
+        { [name]: resourceModule({ name, httpClient, unknownTypes }) },
+        acc,
+      ),
     {},
   );
 
-export { resourceModule, mapResourceModules };
+// https://jsonapi.org/ext/atomic/
+const ATOMIC_MEDIA_TYPE =
+  'application/vnd.api+json; ext="https://jsonapi.org/ext/atomic"';
+
+const documentModule = ({
+  httpClient,
+  operationsUrl = 'operations',
+  unknownTypes,
+}) => {
+  const ensureModule = unknownTypeHandler({ httpClient, unknownTypes });
+
+  const hasModule = (rootState, type) =>
+    resourceModuleNames(rootState).includes(type);
+
+  // like in a resource module, types without a module are skipped unless
+  // unknownTypes says how to handle them
+  const ingest = (store, { dispatch, getters, rootState }, document) => {
+    const ensureType = ensureModule(store);
+    ingestResources(
+      {
+        dispatch,
+        ensureModule: ensureType,
+        accepts: ({ type }) =>
+          Boolean(unknownTypes) || hasModule(rootState, type),
+        findStored: resource => {
+          const byId = getters[`${resource.type}/byId`];
+          return byId && byId({ id: resource.id });
+        },
+        storeResource: resource => {
+          ensureType(resource.type);
+          dispatch(`${resource.type}/storeRecord`, resource, {
+            root: true,
+          });
+        },
+        removeResource: identifier => {
+          if (hasModule(rootState, identifier.type)) {
+            dispatch(`${identifier.type}/removeRecord`, identifier, {
+              root: true,
+            });
+          }
+        },
+      },
+      document,
+    );
+  };
+
+  const isRelationshipOperation = ({ ref }) => Boolean(ref && ref.relationship);
+
+  // a server may answer an add or update without data when it stored the
+  // record as sent, so the operation's own data is stored instead
+  const appliedRecord = (operation, result) => {
+    const { op, data } = operation;
+    if (isRelationshipOperation(operation)) {
+      return null;
+    }
+    if (result && result.data) {
+      return result.data;
+    }
+    const writesRecord = op === 'add' || op === 'update';
+    return writesRecord && data && data.id !== undefined ? data : null;
+  };
+
+  const RELATIONSHIP_METHODS = {
+    add: 'add',
+    remove: 'remove',
+    update: 'replace',
+  };
+
+  // relationship operations change the linkage of the record they refer to,
+  // like the relationship actions of its module do
+  const applyRelationshipOperation = (
+    { dispatch, rootState },
+    operation,
+    result,
+  ) => {
+    const { op, ref, data } = operation;
+    if (ref.id === undefined || !hasModule(rootState, ref.type)) {
+      return;
+    }
+    dispatch(
+      `${ref.type}/storeRelationshipChange`,
+      {
+        id: ref.id,
+        relationship: ref.relationship,
+        method: RELATIONSHIP_METHODS[op],
+        data,
+        result: result ? result.data : undefined,
+      },
+      { root: true },
+    );
+  };
+
+  return {
+    actions: {
+      // the operations are applied by the server as a whole, so the store is
+      // only changed once all of them have succeeded
+      atomic(context, { operations }) {
+        const headers = {
+          'Content-Type': ATOMIC_MEDIA_TYPE,
+          Accept: ATOMIC_MEDIA_TYPE,
+        };
+        return httpClient
+          .post(operationsUrl, { 'atomic:operations': operations }, { headers })
+          .catch(error => {
+            throw (error && error.response) || error;
+          })
+          .then(response => {
+            const results =
+              (response && response.data && response.data['atomic:results']) ||
+              [];
+            const records = operations
+              .map((operation, index) =>
+                appliedRecord(operation, results[index]),
+              )
+              .filter(data => data && !Array.isArray(data));
+            const deleted = operations
+              .filter(
+                operation =>
+                  operation.op === 'remove' &&
+                  operation.ref &&
+                  !isRelationshipOperation(operation),
+              )
+              .map(({ ref }) => ref);
+            ingest(this, context, { data: records, meta: { deleted } });
+            operations.forEach((operation, index) => {
+              if (isRelationshipOperation(operation)) {
+                applyRelationshipOperation(context, operation, results[index]);
+              }
+            });
+
+            return results;
+          });
+      },
+
+      ingestDocument(context, document) {
+        ingest(this, context, document);
+      },
+    },
+  };
+};
+
+export { resourceModule, mapResourceModules, documentModule };
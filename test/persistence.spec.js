@@ -0,0 +1,233 @@
+import Vue from 'vue';
+import Vuex from 'vuex';
+import { mapResourceModules } from '../src/reststate-vuex';
+import {
+  createPersistencePlugin,
+  localStorageBackend,
+  memoryBackend,
+} from '../src/persistence';
+
+Vue.use(Vuex);
+
+describe('createPersistencePlugin()', function () {
+  let api;
+  let items;
+  let storage;
+
+  const records = [
+    {
+      type: 'widgets',
+      id: '1',
+      attributes: {
+        title: 'Foo',
+      },
+    },
+    {
+      type: 'widgets',
+      id: '2',
+      attributes: {
+        title: 'Bar',
+      },
+    },
+  ];
+
+  const createStore = pluginOptions => {
+    const plugin = createPersistencePlugin({
+      modules: ['widgets'],
+      storage,
+      ...pluginOptions,
+    });
+    const store = new Vuex.Store({
+      modules: mapResourceModules({
+        names: ['widgets', 'gadgets'],
+        httpClient: api,
+      }),
+      plugins: [plugin],
+    });
+    return { store, plugin };
+  };
+
+  const storedSnapshot = () => JSON.parse(items['reststate-vuex']);
+
+  beforeEach(() => {
+    api = {
+      get: jest.fn(),
+      post: jest.fn(),
+      patch: jest.fn(),
+      delete: jest.fn(),
+    };
+    items = {};
+    storage = memoryBackend(items);
+  });
+
+  describe('saving', () => {
+    let store;
+
+    beforeEach(() => {
+      ({ store } = createStore());
+      api.get.mockResolvedValue({
+        data: {
+          data: records,
+          links: { next: 'widgets?page[number]=2' },
+        },
+      });
+
+      return store
+        .dispatch('widgets/loadPage', { options: { 'page[number]': 1 } })
+        .then(() => store.dispatch('gadgets/loadAll'));
+    });
+
+    it('stores the persisted fields of the chosen modules', () => {
+      const snapshot = storedSnapshot();
+      expect(snapshot.version).toEqual(1);
+      expect(snapshot.modules.widgets.records).toEqual(records);
+      expect(snapshot.modules.widgets.page).toEqual(['1', '2']);
+      expect(snapshot.modules.widgets.links).toEqual({
+        next: 'widgets?page[number]=2',
+      });
+      expect(Object.keys(snapshot.modules.widgets).sort()).toEqual([
+        'filtered',
+        'links',
+        'page',
+        'queue',
+        'records',
+        'related',
+      ]);
+    });
+
+    it('does not store modules that were not chosen', () => {
+      expect(storedSnapshot().modules).not.toHaveProperty('gadgets');
+    });
+
+    it('skips chosen modules that are not registered', () => {
+      const { store: storeWithMissing, plugin } = createStore({
+        modules: ['widgets', 'missing'],
+      });
+      api.get.mockResolvedValue({ data: { data: records } });
+
+      return plugin.rehydrated
+        .then(() => storeWithMissing.dispatch('widgets/loadAll'))
+        .then(() => {
+          expect(Object.keys(storedSnapshot().modules)).toEqual(['widgets']);
+          expect(storedSnapshot().modules.widgets.records).toEqual(records);
+        });
+    });
+  });
+
+  describe('rehydrating', () => {
+    const snapshot = version => ({
+      version,
+      modules: {
+        widgets: {
+          records,
+          related: [],
+          filtered: [{ filter: { category: 'whizbang' }, matchedIds: ['2'] }],
+          page: ['1'],
+          links: {},
+        },
+      },
+    });
+
+    it('restores the stored modules at startup', () => {
+      items['reststate-vuex'] = JSON.stringify(snapshot(1));
+      const { store, plugin } = createStore();
+
+      return plugin.rehydrated.then(() => {
+        expect(store.getters['widgets/all']).toEqual(records);
+        expect(store.getters['widgets/byId']({ id: '2' })).toEqual(records[1]);
+        expect(
+          store.getters['widgets/where']({ filter: { category: 'whizbang' } }),
+        ).toEqual([records[1]]);
+        expect(store.getters['widgets/page']).toEqual([records[0]]);
+      });
+    });
+
+    it('does not overwrite modules that changed while reading storage', () => {
+      items['reststate-vuex'] = JSON.stringify(snapshot(1));
+      const { store, plugin } = createStore();
+      const newRecord = { type: 'widgets', id: '3' };
+      store.commit('widgets/REPLACE_ALL_RECORDS', [newRecord]);
+
+      return plugin.rehydrated.then(() => {
+        expect(store.getters['widgets/all']).toEqual([newRecord]);
+        expect(storedSnapshot().modules.widgets.records).toEqual([newRecord]);
+      });
+    });
+
+    it('ignores stored data that cannot be parsed', () => {
+      items['reststate-vuex'] = 'not json';
+      const { store, plugin } = createStore();
+
+      return plugin.rehydrated.then(() => {
+        expect(store.getters['widgets/all']).toEqual([]);
+      });
+    });
+
+    describe('with a different version', () => {
+      beforeEach(() => {
+        items['reststate-vuex'] = JSON.stringify(snapshot(1));
+      });
+
+      it('discards the stored data when there is no migration', () => {
+        const { store, plugin } = createStore({ version: 2 });
+
+        return plugin.rehydrated.then(() => {
+          expect(store.getters['widgets/all']).toEqual([]);
+        });
+      });
+
+      it('passes the stored data through the migration', () => {
+        const migrate = jest.fn(modules => ({
+          widgets: {
+            ...modules.widgets,
+            records: modules.widgets.records.slice(0, 1),
+          },
+        }));
+        const { store, plugin } = createStore({ version: 2, migrate });
+
+        return plugin.rehydrated.then(() => {
+          expect(migrate).toHaveBeenCalledWith(snapshot(1).modules, 1);
+          expect(store.getters['widgets/all']).toEqual([records[0]]);
+        });
+      });
+    });
+  });
+
+  describe('with an asynchronous storage backend', () => {
+    it('waits for the stored data', () => {
+      const backend = memoryBackend(items);
+      items['reststate-vuex'] = JSON.stringify({
+        version: 1,
+        modules: { widgets: { records } },
+      });
+      storage = {
+        getItem: key => Promise.resolve(backend.getItem(key)),
+        setItem: (key, value) => Promise.resolve(backend.setItem(key, value)),
+      };
+      const { store, plugin } = createStore();
+
+      return plugin.rehydrated.then(() => {
+        expect(store.getters['widgets/all']).toEqual(records);
+      });
+    });
+  });
+
+  describe('localStorageBackend()', () => {
+    it('reads and writes through the given storage', () => {
+      const localStorage = {
+        getItem: jest.fn().mockReturnValue('stored'),
+        setItem: jest.fn(),
+        removeItem: jest.fn(),
+      };
+      const backend = localStorageBackend(localStorage);
+
+      expect(backend.getItem('key')).toEqual('stored');
+      backend.setItem('key', 'value');
+      backend.removeItem('key');
+
+      expect(localStorage.getItem).toHaveBeenCalledWith('key');
+      expect(localStorage.setItem).toHaveBeenCalledWith('key', 'value');
+      expect(localStorage.removeItem).toHaveBeenCalledWith('key');
+    });
+  });
+});
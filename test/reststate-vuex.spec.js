@@ -1,6 +1,10 @@
 import Vue from 'vue';
 import Vuex from 'vuex';
-import { resourceModule, mapResourceModules } from '../src/reststate-vuex';
+import {
+  resourceModule,
+  mapResourceModules,
+  documentModule,
+} from '../src/reststate-vuex';
 
 Vue.use(Vuex);
 
@@ -20,16 +24,7 @@ describe('resourceModule()', function () {
       name: 'widgets',
       httpClient: api,
     });
-    store = new Vuex.Store({
-      ...storeConfig,
-      state: {
-        records: [], // TODO find some nicer way to clone this
-        related: [],
-        filtered: [],
-        loading: false,
-        error: false,
-      },
-    });
+    store = new Vuex.Store(storeConfig);
   });
 
   describe('loading from the server', () => {
@@ -676,6 +671,257 @@ describe('resourceModule()', function () {
         });
       });
 
+      describe('first and last page requests', () => {
+        const links = {
+          first: 'https://api.example.com/widgets?page[number]=1&page[size]=2',
+          last: 'https://api.example.com/widgets?page[number]=2&page[size]=2',
+        };
+
+        beforeEach(() => {
+          api.get.mockResolvedValueOnce({
+            data: { data: firstPage, links },
+          });
+
+          return store.dispatch('loadPage', {
+            options: { 'page[number]': 1, 'page[size]': 2 },
+          });
+        });
+
+        it('exposes whether there are first and last pages', () => {
+          expect(store.getters.hasFirst).toEqual(true);
+          expect(store.getters.hasLast).toEqual(true);
+        });
+
+        it('loads the last page', () => {
+          api.get.mockResolvedValueOnce({
+            data: { data: secondPage, links: { first: links.first } },
+          });
+
+          return store.dispatch('loadLastPage').then(() => {
+            expect(api.get).toHaveBeenCalledWith(links.last);
+            expect(store.getters.page.map(({ id }) => id)).toEqual(['3', '4']);
+            expect(store.getters.hasLast).toEqual(false);
+          });
+        });
+
+        it('loads the first page', () => {
+          api.get.mockResolvedValueOnce({ data: { data: firstPage, links } });
+
+          return store.dispatch('loadFirstPage').then(() => {
+            expect(api.get).toHaveBeenCalledWith(links.first);
+            expect(store.getters.page.map(({ id }) => id)).toEqual(['1', '2']);
+          });
+        });
+
+        it('does not send a request without a link', () => {
+          return store.dispatch('loadNextPage').then(() => {
+            expect(api.get).toHaveBeenCalledTimes(1);
+            expect(store.getters.page.map(({ id }) => id)).toEqual(['1', '2']);
+            expect(store.getters.isLoadingNextPage()).toEqual(false);
+          });
+        });
+
+        it('tracks the status of the request', () => {
+          const error = { status: 500 };
+          api.get.mockRejectedValueOnce(error);
+
+          const response = store.dispatch('loadLastPage');
+          expect(store.getters.isLoadingLastPage()).toEqual(true);
+          expect(store.getters.isLoading).toEqual(true);
+
+          return response.then(
+            () => {
+              throw new Error('should have rejected');
+            },
+            () => {
+              expect(store.getters.isErrorLastPage()).toEqual(true);
+              expect(store.getters.errorForLastPage()).toEqual(error);
+              expect(store.getters.isError).toEqual(true);
+              expect(store.getters.isErrorFirstPage()).toEqual(false);
+            },
+          );
+        });
+      });
+
+      describe('cursor pagination', () => {
+        const withCursors = records =>
+          records.map(record => ({
+            ...record,
+            meta: { page: { cursor: `cursor-${record.id}` } },
+          }));
+        const pageMeta = { estimatedTotal: { bestGuess: 4 } };
+
+        beforeEach(() => {
+          api.get.mockResolvedValueOnce({
+            data: {
+              data: withCursors(firstPage),
+              links: {
+                prev: null,
+                next: 'https://api.example.com/widgets?page[after]=cursor-2',
+              },
+              meta: { page: pageMeta },
+            },
+          });
+
+          return store.dispatch('loadPage', { options: { 'page[size]': 2 } });
+        });
+
+        it('exposes the cursors of the first and last records', () => {
+          expect(store.getters.pageCursors).toEqual({
+            start: 'cursor-1',
+            end: 'cursor-2',
+          });
+        });
+
+        it('exposes the page meta', () => {
+          expect(store.getters.pageMeta).toEqual(pageMeta);
+        });
+
+        it('follows the links to later pages', () => {
+          expect(store.getters.hasPrevious).toEqual(false);
+          api.get.mockResolvedValueOnce({
+            data: {
+              data: withCursors(secondPage),
+              links: { next: null },
+              meta: { page: {} },
+            },
+          });
+
+          return store.dispatch('loadNextPage').then(() => {
+            expect(api.get).toHaveBeenCalledWith(
+              'https://api.example.com/widgets?page[after]=cursor-2',
+            );
+            expect(store.getters.pageCursors).toEqual({
+              start: 'cursor-3',
+              end: 'cursor-4',
+            });
+            expect(store.getters.hasNext).toEqual(false);
+          });
+        });
+
+        it('passes cursors on to the server', () => {
+          api.get.mockResolvedValueOnce({ data: { data: [] } });
+          const { end } = store.getters.pageCursors;
+
+          return store
+            .dispatch('loadPage', {
+              options: { 'page[size]': 2, 'page[after]': end },
+            })
+            .then(() => {
+              expect(api.get).toHaveBeenCalledWith(
+                'widgets?page[size]=2&page[after]=cursor-2',
+              );
+              expect(store.getters.pageCursors).toEqual({
+                start: null,
+                end: null,
+              });
+              expect(store.getters.pageMeta).toEqual(null);
+            });
+        });
+      });
+
+      describe('cached pages', () => {
+        const pageOne = { 'page[number]': 1, 'page[size]': 2 };
+        const pageTwo = { 'page[number]': 2, 'page[size]': 2 };
+        const meta = { total: 4 };
+
+        beforeEach(() => {
+          api.get
+            .mockResolvedValueOnce({
+              data: {
+                data: firstPage,
+                links: { next: 'widgets?page[number]=2&page[size]=2' },
+                meta,
+              },
+            })
+            .mockResolvedValueOnce({
+              data: {
+                data: secondPage,
+                links: { prev: 'widgets?page[number]=1&page[size]=2' },
+              },
+            });
+
+          return store
+            .dispatch('loadPage', { options: pageOne })
+            .then(() => store.dispatch('loadPage', { options: pageTwo }));
+        });
+
+        it('keeps the records of each page by its options', () => {
+          const ids = options =>
+            store.getters.pageFor({ options }).map(({ id }) => id);
+          expect(ids(pageOne)).toEqual(['1', '2']);
+          expect(ids(pageTwo)).toEqual(['3', '4']);
+          expect(
+            store.getters.pageFor({ options: { 'page[number]': 3 } }),
+          ).toEqual([]);
+        });
+
+        it('keeps the links and meta of each page', () => {
+          expect(store.getters.pageLinksFor({ options: pageOne })).toEqual({
+            next: 'widgets?page[number]=2&page[size]=2',
+          });
+          expect(store.getters.pageMetaFor({ options: pageOne })).toEqual(meta);
+          expect(store.getters.pageMetaFor({ options: pageTwo })).toEqual(null);
+        });
+
+        it('keeps pages loaded from links by their URL', () => {
+          const url = 'widgets?page[number]=1&page[size]=2';
+          api.get.mockResolvedValueOnce({
+            data: { data: firstPage, links: { next: 'widgets?page=2' } },
+          });
+
+          return store.dispatch('loadPreviousPage').then(() => {
+            const options = { url };
+            expect(
+              store.getters.pageFor({ options }).map(({ id }) => id),
+            ).toEqual(['1', '2']);
+            expect(store.getters.pageLinksFor({ options })).toEqual({
+              next: 'widgets?page=2',
+            });
+          });
+        });
+
+        it('matches options regardless of their order', () => {
+          const options = { 'page[size]': 2, 'page[number]': 1 };
+          expect(store.getters.pageFor({ options }).length).toEqual(2);
+        });
+
+        it('shows a cached page without a request when allowed', () => {
+          return store
+            .dispatch('loadPage', {
+              options: pageOne,
+              cachePolicy: 'cache-first',
+            })
+            .then(() => {
+              expect(api.get).toHaveBeenCalledTimes(2);
+              expect(store.getters.page.map(({ id }) => id)).toEqual([
+                '1',
+                '2',
+              ]);
+              expect(store.getters.hasNext).toEqual(true);
+              expect(store.getters.hasPrevious).toEqual(false);
+            });
+        });
+
+        it('requests a cached page again by default', () => {
+          api.get.mockResolvedValueOnce({ data: { data: firstPage } });
+
+          return store.dispatch('loadPage', { options: pageOne }).then(() => {
+            expect(api.get).toHaveBeenCalledTimes(3);
+          });
+        });
+
+        it('removes deleted records from every cached page', () => {
+          api.delete.mockResolvedValue();
+
+          return store.dispatch('delete', { id: '3' }).then(() => {
+            expect(
+              store.getters.pageFor({ options: pageTwo }).map(({ id }) => id),
+            ).toEqual(['4']);
+          });
+        });
+      });
+
       describe('success', () => {
         const firstPage = [
           {
@@ -858,6 +1104,158 @@ describe('resourceModule()', function () {
           expect(records).toEqual(reversedFirstPage);
         });
       });
+
+      describe('loading more', () => {
+        const options = { 'page[size]': 2, sort: 'title' };
+        const nextUrl = 'https://api.example.com/widgets?page[number]=2';
+
+        beforeEach(() => {
+          api.get
+            .mockResolvedValueOnce({
+              data: {
+                data: firstPage,
+                links: { next: nextUrl },
+              },
+            })
+            .mockResolvedValueOnce({
+              data: {
+                // the server may repeat a record when the list shifts
+                data: [firstPage[1], ...secondPage],
+                links: { next: null },
+              },
+            });
+
+          return store
+            .dispatch('loadMore', { options })
+            .then(() => store.dispatch('loadMore'));
+        });
+
+        it('requests the first page with the options then follows next', () => {
+          expect(api.get).toHaveBeenCalledWith(
+            'widgets?page[size]=2&sort=title',
+          );
+          expect(api.get).toHaveBeenCalledWith(nextUrl);
+        });
+
+        it('appends each page in order without duplicates', () => {
+          const ids = store.getters.accumulated.map(({ id }) => id);
+          expect(ids).toEqual(['1', '2', '3', '4']);
+        });
+
+        it('exposes whether there is more to load', () => {
+          expect(store.getters.hasMore).toEqual(false);
+        });
+
+        it('keeps its place when pages are loaded in between', () => {
+          const tableUrl = 'https://api.example.com/widgets?page[number]=3';
+          store.commit('SET_ACCUMULATED_LINKS', { next: nextUrl });
+          api.get
+            .mockResolvedValueOnce({
+              data: { data: firstPage, links: { next: tableUrl } },
+            })
+            .mockResolvedValueOnce({
+              data: { data: [], links: { next: null } },
+            });
+
+          return store
+            .dispatch('loadPage', { options: { 'page[number]': 2 } })
+            .then(() => store.dispatch('loadMore'))
+            .then(() => {
+              expect(api.get).toHaveBeenLastCalledWith(nextUrl);
+              expect(store.getters.hasNext).toEqual(true);
+              expect(store.getters.hasMore).toEqual(false);
+            });
+        });
+
+        it('does not request again when there is no next page', () => {
+          return store.dispatch('loadMore').then(() => {
+            expect(api.get).toHaveBeenCalledTimes(2);
+          });
+        });
+
+        it('starts a new list when the options change', () => {
+          api.get.mockResolvedValueOnce({
+            data: { data: secondPage, links: { next: nextUrl } },
+          });
+
+          return store
+            .dispatch('loadMore', { options: { ...options, sort: '-title' } })
+            .then(() => {
+              expect(api.get).toHaveBeenLastCalledWith(
+                'widgets?page[size]=2&sort=-title',
+              );
+              const ids = store.getters.accumulated.map(({ id }) => id);
+              expect(ids).toEqual(['3', '4']);
+              expect(store.getters.hasMore).toEqual(true);
+            });
+        });
+
+        it('continues the list when passed the same options', () => {
+          api.get.mockResolvedValueOnce({
+            data: { data: [], links: { next: null } },
+          });
+          store.commit('SET_ACCUMULATED_LINKS', { next: nextUrl });
+
+          return store.dispatch('loadMore', { options }).then(() => {
+            expect(api.get).toHaveBeenLastCalledWith(nextUrl);
+            expect(store.getters.accumulated.length).toEqual(4);
+          });
+        });
+
+        it('allows resetting the list', () => {
+          api.get.mockResolvedValueOnce({
+            data: { data: secondPage, links: { next: null } },
+          });
+
+          return store
+            .dispatch('resetAccumulated')
+            .then(() => {
+              expect(store.getters.accumulated).toEqual([]);
+              return store.dispatch('loadMore');
+            })
+            .then(() => {
+              expect(api.get).toHaveBeenLastCalledWith('widgets?');
+              const ids = store.getters.accumulated.map(({ id }) => id);
+              expect(ids).toEqual(['3', '4']);
+            });
+        });
+
+        it('ignores a page that returns after the list was reset', () => {
+          let resolveResponse;
+          api.get.mockReturnValueOnce(
+            new Promise(resolve => {
+              resolveResponse = resolve;
+            }),
+          );
+          store.commit('SET_ACCUMULATED_LINKS', { next: nextUrl });
+
+          const loading = store.dispatch('loadMore');
+          store.dispatch('resetAccumulated');
+          resolveResponse({ data: { data: secondPage, links: {} } });
+
+          return loading.then(() => {
+            expect(store.getters.accumulated).toEqual([]);
+          });
+        });
+
+        it('tracks the status of loading more', () => {
+          let resolveResponse;
+          api.get.mockReturnValueOnce(
+            new Promise(resolve => {
+              resolveResponse = resolve;
+            }),
+          );
+          store.commit('SET_ACCUMULATED_LINKS', { next: nextUrl });
+
+          const loading = store.dispatch('loadMore');
+          expect(store.getters.isLoadingMore()).toEqual(true);
+          resolveResponse({ data: { data: [], links: {} } });
+
+          return loading.then(() => {
+            expect(store.getters.isLoadingMore()).toEqual(false);
+          });
+        });
+      });
     });
 
     describe('by ID', () => {
@@ -1266,42 +1664,365 @@ describe('resourceModule()', function () {
       });
     });
 
-    describe('included', () => {
-      describe('to many', () => {
-        function sharedExamples() {
-          it('makes the primary records accessible via getter', () => {
-            const records = this.multiStore.getters['restaurants/all'];
+    describe('relationship linkage', () => {
+      const parent = { type: 'users', id: '42' };
+      const meta = { count: 2 };
+      const links = {
+        self: 'users/42/relationships/widgets',
+        related: 'users/42/widgets',
+      };
 
-            expect(records.length).toEqual(2);
+      beforeEach(() => {
+        store.commit('STORE_RECORDS', [
+          { type: 'widgets', id: '1', attributes: { title: 'Foo' } },
+          { type: 'widgets', id: '2', attributes: { title: 'Bar' } },
+        ]);
+        api.get.mockResolvedValue({
+          data: {
+            data: [
+              { type: 'widgets', id: '1' },
+              { type: 'widgets', id: '2' },
+            ],
+            meta,
+            links,
+          },
+        });
+        return store.dispatch('loadRelationship', { parent });
+      });
 
-            const firstRecord = records[0];
-            expect(firstRecord.id).toEqual('1');
-            expect(firstRecord.attributes.name).toEqual('Sushi Place');
-          });
+      it('requests only the linkage', () => {
+        expect(api.get).toHaveBeenCalledWith('users/42/relationships/widgets');
+      });
 
-          it('makes the included records accessible via getter', () => {
-            const records = this.multiStore.getters['dishes/all'];
+      it('resolves the related records that are already in the store', () => {
+        const titles = store.getters
+          .related({ parent })
+          .map(({ attributes }) => attributes.title);
+        expect(titles).toEqual(['Foo', 'Bar']);
+      });
 
-            expect(records.length).toEqual(3);
+      it('exposes the meta and links of the relationship', () => {
+        expect(store.getters.relationshipMeta({ parent })).toEqual(meta);
+        expect(store.getters.relationshipLinks({ parent })).toEqual(links);
+      });
 
-            const firstRecord = records[0];
-            expect(firstRecord.id).toEqual('1');
-            expect(firstRecord.attributes.name).toEqual('California Roll');
-          });
+      it('keeps the meta and links when the linkage changes otherwise', () => {
+        store.dispatch('storeRelated', { params: { parent }, relatedIds: [] });
+        expect(store.getters.relationshipMeta({ parent })).toEqual(meta);
+      });
 
-          it('makes the included records accessible via relationship', () => {
-            const parent = this.primaryRecords[1];
-            const records = this.multiStore.getters['dishes/related']({
-              parent,
+      it('does not count linkage to missing records as cached', () => {
+        const params = { parent, relationship: 'favorites' };
+        api.get.mockResolvedValue({
+          data: { data: [{ type: 'widgets', id: '3' }] },
+        });
+
+        return store
+          .dispatch('loadRelationship', params)
+          .then(() => {
+            api.get.mockResolvedValue({
+              data: { data: [{ type: 'widgets', id: '3' }] },
+            });
+            return store.dispatch('loadRelated', {
+              ...params,
+              cachePolicy: 'cache-first',
             });
+          })
+          .then(() => {
+            expect(api.get).toHaveBeenLastCalledWith('users/42/favorites?');
+            expect(store.getters.related(params).map(({ id }) => id)).toEqual([
+              '3',
+            ]);
+          });
+      });
 
-            expect(records.length).toEqual(1);
-            const firstRecord = records[0];
-            expect(firstRecord.id).toEqual('3');
-            expect(firstRecord.attributes.name).toEqual('Avocado Burger');
+      it('counts linkage to records in the store as cached', () => {
+        return store
+          .dispatch('loadRelated', { parent, cachePolicy: 'cache-first' })
+          .then(() => {
+            expect(api.get).toHaveBeenCalledTimes(1);
           });
+      });
 
-          it('allows including records multiple levels deep', () => {
+      it('loads a named to-one relationship', () => {
+        api.get.mockResolvedValue({
+          data: { data: { type: 'widgets', id: '2' } },
+        });
+        const params = { parent, relationship: 'favorite' };
+
+        return store.dispatch('loadRelationship', params).then(() => {
+          expect(api.get).toHaveBeenCalledWith(
+            'users/42/relationships/favorite',
+          );
+          expect(store.getters.related(params).id).toEqual('2');
+          expect(store.getters.relationshipMeta(params)).toEqual(null);
+        });
+      });
+
+      it('tracks the status of the request', () => {
+        api.get.mockRejectedValue({ response: { status: 404 } });
+
+        return store.dispatch('loadRelationship', { parent }).then(
+          () => {
+            throw new Error('should have rejected');
+          },
+          () => {
+            expect(store.getters.isErrorRelationship({ parent })).toEqual(true);
+            expect(store.getters.errorForRelationship({ parent })).toEqual({
+              status: 404,
+            });
+          },
+        );
+      });
+    });
+
+    describe('polymorphic relationships', () => {
+      const parent = { type: 'posts', id: '1' };
+      const params = { parent, relationship: 'media' };
+      const media = [
+        { type: 'videos', id: '1', attributes: { title: 'Intro' } },
+        { type: 'images', id: '1', attributes: { title: 'Cover' } },
+        { type: 'videos', id: '2', attributes: { title: 'Outro' } },
+      ];
+      const linkage = media.map(({ type, id }) => ({ type, id }));
+
+      let multiStore;
+
+      const titles = records =>
+        records.map(({ attributes }) => attributes.title);
+
+      beforeEach(() => {
+        multiStore = new Vuex.Store({
+          modules: mapResourceModules({
+            names: ['posts', 'images', 'videos'],
+            httpClient: api,
+          }),
+        });
+      });
+
+      describe('from included records', () => {
+        beforeEach(() => {
+          api.get.mockResolvedValue({
+            data: {
+              data: {
+                type: 'posts',
+                id: '1',
+                relationships: { media: { data: linkage } },
+              },
+              included: media,
+            },
+          });
+          return multiStore.dispatch('posts/loadById', {
+            id: '1',
+            options: { include: 'media' },
+          });
+        });
+
+        it('stores each type of linkage in its own module', () => {
+          expect(titles(multiStore.getters['images/related'](params))).toEqual([
+            'Cover',
+          ]);
+          expect(titles(multiStore.getters['videos/related'](params))).toEqual([
+            'Intro',
+            'Outro',
+          ]);
+        });
+
+        it('returns all the related records in server order', () => {
+          ['images', 'videos'].forEach(name => {
+            const related = multiStore.getters[`${name}/relatedMixed`](params);
+            expect(titles(related)).toEqual(['Intro', 'Cover', 'Outro']);
+          });
+        });
+
+        it('removes the linkage to a type that is no longer related', () => {
+          api.patch.mockResolvedValue({ data: {} });
+
+          return multiStore
+            .dispatch('posts/update', {
+              type: 'posts',
+              id: '1',
+              relationships: { media: { data: [linkage[1]] } },
+            })
+            .then(() => {
+              expect(multiStore.getters['videos/related'](params)).toEqual([]);
+              expect(
+                titles(multiStore.getters['images/relatedMixed'](params)),
+              ).toEqual(['Cover']);
+            });
+        });
+
+        it('removes a deleted record from the related records', () => {
+          api.delete.mockResolvedValue();
+
+          return multiStore.dispatch('videos/delete', media[0]).then(() => {
+            expect(
+              titles(multiStore.getters['images/relatedMixed'](params)),
+            ).toEqual(['Cover', 'Outro']);
+          });
+        });
+      });
+
+      describe('from the related endpoint', () => {
+        beforeEach(() => {
+          multiStore.commit('posts/STORE_RECORDS', [
+            { type: 'posts', id: '1', attributes: { title: 'Hello' } },
+          ]);
+          api.get.mockResolvedValue({ data: { data: media } });
+          return multiStore.dispatch('images/loadRelated', params);
+        });
+
+        it('stores the records of other types in their own modules', () => {
+          expect(titles(multiStore.getters['videos/all'])).toEqual([
+            'Intro',
+            'Outro',
+          ]);
+          expect(titles(multiStore.getters['images/all'])).toEqual(['Cover']);
+        });
+
+        it('returns all the related records in server order', () => {
+          expect(
+            titles(multiStore.getters['images/relatedMixed'](params)),
+          ).toEqual(['Intro', 'Cover', 'Outro']);
+        });
+
+        it('hydrates the relationship without linkage on the parent', () => {
+          const post = multiStore.getters['posts/hydrated']({
+            id: '1',
+            include: 'media',
+          });
+          expect(titles(post.media)).toEqual(['Intro', 'Cover', 'Outro']);
+        });
+      });
+
+      it('returns the same as related when no identifiers were stored', () => {
+        store.commit('STORE_RECORDS', [{ type: 'widgets', id: '1' }]);
+        store.commit('STORE_RELATED', {
+          params: { parent },
+          relatedIds: ['1'],
+        });
+        expect(store.getters.relatedMixed({ parent })).toEqual(
+          store.getters.related({ parent }),
+        );
+      });
+    });
+
+    describe('sparse fieldsets', () => {
+      const fullRecord = {
+        type: 'widgets',
+        id: '1',
+        attributes: { title: 'Foo', description: 'A foo' },
+        relationships: {
+          category: {
+            links: { related: 'widgets/1/category' },
+            data: { type: 'categories', id: '1' },
+          },
+        },
+        links: { self: 'widgets/1' },
+      };
+
+      beforeEach(() => {
+        api.get
+          .mockResolvedValueOnce({
+            data: { data: JSON.parse(JSON.stringify(fullRecord)) },
+          })
+          .mockResolvedValueOnce({
+            data: {
+              data: [
+                {
+                  type: 'widgets',
+                  id: '1',
+                  attributes: { title: 'Renamed' },
+                  relationships: {
+                    category: { data: { type: 'categories', id: '2' } },
+                  },
+                  meta: { rank: 1 },
+                },
+              ],
+            },
+          });
+
+        return store.dispatch('loadById', { id: '1' }).then(() =>
+          store.dispatch('loadAll', {
+            options: { 'fields[widgets]': 'title' },
+          }),
+        );
+      });
+
+      it('keeps the attributes that were not in the later response', () => {
+        const record = store.getters.byId({ id: '1' });
+        expect(record.attributes).toEqual({
+          title: 'Renamed',
+          description: 'A foo',
+        });
+      });
+
+      it('merges relationships, meta and links per key', () => {
+        const record = store.getters.byId({ id: '1' });
+        expect(record.relationships.category).toEqual({
+          links: { related: 'widgets/1/category' },
+          data: { type: 'categories', id: '2' },
+        });
+        expect(record.links).toEqual({ self: 'widgets/1' });
+        expect(record.meta).toEqual({ rank: 1 });
+      });
+
+      it('tells whether fields have been loaded', () => {
+        const { hasFields } = store.getters;
+        expect(hasFields({ id: '1', fields: ['title', 'category'] })).toEqual(
+          true,
+        );
+        expect(hasFields({ id: '1', fields: 'title,description' })).toEqual(
+          true,
+        );
+        expect(hasFields({ id: '1', fields: ['color'] })).toEqual(false);
+        expect(hasFields({ id: '2', fields: ['title'] })).toEqual(false);
+      });
+
+      it('forgets the loaded fields of removed records', () => {
+        store.dispatch('removeRecord', { id: '1' });
+        expect(store.getters.hasFields({ id: '1', fields: ['title'] })).toEqual(
+          false,
+        );
+      });
+    });
+
+    describe('included', () => {
+      describe('to many', () => {
+        function sharedExamples() {
+          it('makes the primary records accessible via getter', () => {
+            const records = this.multiStore.getters['restaurants/all'];
+
+            expect(records.length).toEqual(2);
+
+            const firstRecord = records[0];
+            expect(firstRecord.id).toEqual('1');
+            expect(firstRecord.attributes.name).toEqual('Sushi Place');
+          });
+
+          it('makes the included records accessible via getter', () => {
+            const records = this.multiStore.getters['dishes/all'];
+
+            expect(records.length).toEqual(3);
+
+            const firstRecord = records[0];
+            expect(firstRecord.id).toEqual('1');
+            expect(firstRecord.attributes.name).toEqual('California Roll');
+          });
+
+          it('makes the included records accessible via relationship', () => {
+            const parent = this.primaryRecords[1];
+            const records = this.multiStore.getters['dishes/related']({
+              parent,
+            });
+
+            expect(records.length).toEqual(1);
+            const firstRecord = records[0];
+            expect(firstRecord.id).toEqual('3');
+            expect(firstRecord.attributes.name).toEqual('Avocado Burger');
+          });
+
+          it('allows including records multiple levels deep', () => {
             const parent = { type: 'dishes', id: '1' };
             const records = this.multiStore.getters['comments/related']({
               parent,
@@ -1437,9 +2158,10 @@ describe('resourceModule()', function () {
 
         describe('loadNextPage', () => {
           beforeEach(() => {
-            return this.multiStore.dispatch('restaurants/loadNextPage', {
-              include: 'dishes,dishes.comments',
+            this.multiStore.commit('restaurants/SET_LINKS', {
+              next: 'restaurants?include=dishes,dishes.comments&page[number]=2',
             });
+            return this.multiStore.dispatch('restaurants/loadNextPage');
           });
 
           sharedExamples.bind(this)();
@@ -1447,9 +2169,10 @@ describe('resourceModule()', function () {
 
         describe('loadPreviousPage', () => {
           beforeEach(() => {
-            return this.multiStore.dispatch('restaurants/loadPreviousPage', {
-              include: 'dishes,dishes.comments',
+            this.multiStore.commit('restaurants/SET_LINKS', {
+              prev: 'restaurants?include=dishes,dishes.comments&page[number]=1',
             });
+            return this.multiStore.dispatch('restaurants/loadPreviousPage');
           });
 
           sharedExamples.bind(this)();
@@ -1581,9 +2304,10 @@ describe('resourceModule()', function () {
 
         describe('loadNextPage', () => {
           beforeEach(() => {
-            return this.multiStore.dispatch('dishes/loadNextPage', {
-              include: 'restaurant',
+            this.multiStore.commit('dishes/SET_LINKS', {
+              next: 'dishes?include=restaurant&page[number]=2',
             });
+            return this.multiStore.dispatch('dishes/loadNextPage');
           });
 
           sharedExamples.bind(this)();
@@ -1591,9 +2315,10 @@ describe('resourceModule()', function () {
 
         describe('loadPreviousPage', () => {
           beforeEach(() => {
-            return this.multiStore.dispatch('dishes/loadPreviousPage', {
-              include: 'restaurant',
+            this.multiStore.commit('dishes/SET_LINKS', {
+              prev: 'dishes?include=restaurant&page[number]=1',
             });
+            return this.multiStore.dispatch('dishes/loadPreviousPage');
           });
 
           sharedExamples.bind(this)();
@@ -1745,646 +2470,3223 @@ describe('resourceModule()', function () {
             });
         });
       });
-    });
-  });
 
-  describe('pushing changes into the store', () => {
-    describe('adding records', () => {
-      const record = {
-        type: 'widget',
-        id: '42',
-        attributes: {
-          title: 'Bar',
-        },
-      };
+      describe('of a type without a module', () => {
+        const post = {
+          type: 'posts',
+          id: '1',
+          relationships: {
+            tags: { data: [{ type: 'tags', id: '1' }] },
+          },
+        };
+        const tag = { type: 'tags', id: '1', attributes: { name: 'news' } };
 
-      describe('when the record does not yet exist', () => {
-        it('adds the record', () => {
-          return store.dispatch('storeRecord', record).then(() => {
-            const records = store.getters.all;
-            expect(records.length).toEqual(1);
-            const firstRecord = records[0];
-            expect(firstRecord.attributes.title).toEqual('Bar');
+        const createStore = unknownTypes =>
+          new Vuex.Store({
+            modules: mapResourceModules({
+              names: ['posts'],
+              httpClient: api,
+              unknownTypes,
+            }),
           });
+
+        const loadPost = multiStore =>
+          multiStore.dispatch('posts/loadById', {
+            id: '1',
+            options: { include: 'tags' },
+          });
+
+        beforeEach(() => {
+          api.get.mockResolvedValue({ data: { data: post, included: [tag] } });
         });
-      });
 
-      describe('when the record already exists', () => {
-        it('replaces the record', () => {
-          store.commit('REPLACE_ALL_RECORDS', [
-            {
-              type: 'widget',
-              id: '42',
-              attributes: {
-                title: 'Foo',
-              },
-            },
-          ]);
+        it('registers a module for the type when set to register', () => {
+          const multiStore = createStore('register');
 
-          store.dispatch('storeRecord', record).then(() => {
-            const records = store.getters.all;
-            expect(records.length).toEqual(1);
-            const firstRecord = records[0];
-            expect(firstRecord.attributes.title).toEqual('Bar');
+          return loadPost(multiStore).then(() => {
+            expect(multiStore.hasModule('tags')).toEqual(true);
+            expect(multiStore.getters['tags/byId']({ id: '1' })).toEqual(tag);
+            expect(
+              multiStore.getters['tags/related']({ parent: post }),
+            ).toEqual([tag]);
           });
         });
-      });
-    });
 
-    describe('removing records', () => {
-      it('removes the record from the store', () => {
-        const record = {
-          type: 'widget',
-          id: '42',
-          attributes: {
-            title: 'Foo',
-          },
-        };
+        it('gives the registered module the same settings', () => {
+          const multiStore = createStore('register');
 
-        store.commit('REPLACE_ALL_RECORDS', [
-          record,
-          {
-            type: 'widget',
-            id: '27',
-            attributes: {
-              title: 'Bar',
+          return loadPost(multiStore)
+            .then(() => {
+              api.get.mockResolvedValue({ data: { data: [tag] } });
+              return multiStore.dispatch('tags/loadAll');
+            })
+            .then(() => {
+              expect(api.get).toHaveBeenLastCalledWith('tags?');
+            });
+        });
+
+        it('rejects with an error naming the type when set to throw', () => {
+          const multiStore = createStore('throw');
+
+          return loadPost(multiStore).then(
+            () => {
+              throw new Error('should have rejected');
             },
-          },
-        ]);
+            error => {
+              expect(error.message).toContain('"tags"');
+              expect(multiStore.hasModule('tags')).toEqual(false);
+            },
+          );
+        });
 
-        store.dispatch('removeRecord', record).then(() => {
-          const records = store.getters.all;
-          expect(records.length).toEqual(1);
-          const firstRecord = records[0];
-          expect(firstRecord.attributes.title).toEqual('Bar');
+        describe('that is only linked to', () => {
+          beforeEach(() => {
+            api.get.mockResolvedValue({ data: { data: post, included: [] } });
+          });
+
+          it('registers a module for the type when set to register', () => {
+            const multiStore = createStore('register');
+
+            return loadPost(multiStore).then(() => {
+              expect(multiStore.hasModule('tags')).toEqual(true);
+              expect(multiStore.state.tags.related[0].relatedIds).toEqual([
+                '1',
+              ]);
+            });
+          });
+
+          it('rejects with an error naming the type when set to throw', () => {
+            const multiStore = createStore('throw');
+
+            return loadPost(multiStore).then(
+              () => {
+                throw new Error('should have rejected');
+              },
+              error => {
+                expect(error.message).toContain('"tags"');
+              },
+            );
+          });
+        });
+
+        it('throws for an unknown mode', () => {
+          expect(() => createStore('ignore')).toThrow(
+            'Unknown unknownTypes mode "ignore"',
+          );
         });
       });
     });
   });
 
-  describe('retrieving from the store', () => {
-    beforeEach(() => {
-      store.commit('REPLACE_ALL_RECORDS', [
-        {
-          type: 'widget',
-          id: '27',
-          attributes: {
-            title: 'Foo',
-          },
-        },
-        {
-          type: 'widget',
-          id: '42',
-          attributes: {
-            title: 'Bar',
-          },
-        },
-      ]);
-    });
+  describe('deduplicating in-flight requests', () => {
+    const record = {
+      type: 'widgets',
+      id: '1',
+      attributes: {
+        title: 'Foo',
+      },
+    };
 
-    describe('all', () => {
-      it('returns all records', () => {
-        const result = store.getters.all;
+    it('sends one request for identical loadById calls', () => {
+      api.get.mockResolvedValue({ data: { data: record } });
 
-        expect(result.length).toEqual(2);
-        expect(result[0].id).toEqual('27');
+      const first = store.dispatch('loadById', { id: '1' });
+      const second = store.dispatch('loadById', { id: 1 });
+
+      return Promise.all([first, second]).then(() => {
+        expect(api.get).toHaveBeenCalledTimes(1);
       });
     });
 
-    describe('by ID', () => {
-      it('allows retrieving the record by ID', () => {
-        const id = '42';
-        const storedRecord = store.getters.byId({ id });
-        expect(storedRecord.id).toEqual(id);
-        expect(storedRecord.attributes.title).toEqual('Bar');
+    it('sends one request for loadWhere calls with equal params', () => {
+      api.get.mockResolvedValue({ data: { data: [record] } });
+
+      const first = store.dispatch('loadWhere', {
+        filter: { category: 'whizbang', size: 'small' },
+        options: { sort: 'title' },
+      });
+      const second = store.dispatch('loadWhere', {
+        options: { sort: 'title' },
+        filter: { size: 'small', category: 'whizbang' },
       });
 
-      it('can retrieve records with numeric IDs', () => {
-        const id = 42;
-        const storedRecord = store.getters.byId({ id });
-        expect(storedRecord.attributes.title).toEqual('Bar');
+      return Promise.all([first, second]).then(() => {
+        expect(api.get).toHaveBeenCalledTimes(1);
       });
     });
 
-    describe('related', () => {
-      it('allows retrieving related records', () => {
-        store.commit('REPLACE_ALL_RELATED', [
-          {
-            parent: {
-              type: 'user',
-              id: '42',
-            },
-            relationship: 'purchased-widgets',
-            relatedIds: ['27', '42'],
-          },
-        ]);
-
-        store.commit('REPLACE_ALL_RECORDS', [
-          {
-            type: 'widgets',
-            id: '9',
-            attributes: {
-              title: 'Foo',
-            },
-          },
-          {
-            type: 'widgets',
-            id: '27',
-            attributes: {
-              title: 'Bar',
-            },
-          },
-          {
-            type: 'widgets',
-            id: '42',
-            attributes: {
-              title: 'Baz',
-            },
-          },
-        ]);
-
-        const parent = {
-          type: 'user',
-          id: '42',
-        };
-
-        const result = store.getters.related({
-          parent,
-          relationship: 'purchased-widgets',
-        });
+    it('sends separate requests for different params', () => {
+      api.get.mockResolvedValue({ data: { data: [record] } });
 
-        expect(result.length).toEqual(2);
-        expect(result[0].id).toEqual('27');
-        expect(result[0].attributes.title).toEqual('Bar');
+      return Promise.all([
+        store.dispatch('loadWhere', { filter: { category: 'whizbang' } }),
+        store.dispatch('loadWhere', { filter: { category: 'other' } }),
+      ]).then(() => {
+        expect(api.get).toHaveBeenCalledTimes(2);
       });
+    });
 
-      it('does not error out if there is no relationship data', () => {
-        const parent = {
-          type: 'user',
-          id: '27',
-        };
+    it('sends a new request once the previous one has settled', () => {
+      api.get.mockResolvedValue({ data: { data: [record] } });
 
-        const result = store.getters.related({
-          parent,
-          relationship: 'purchased-widgets',
+      return store
+        .dispatch('loadAll')
+        .then(() => store.dispatch('loadAll'))
+        .then(() => {
+          expect(api.get).toHaveBeenCalledTimes(2);
         });
-
-        expect(result).toEqual(null);
-      });
     });
 
-    describe('filter', () => {
-      it('does not error on filter that has not been sent', () => {
-        const filter = {
-          first: 'time',
-        };
+    it('rejects every caller when the shared request fails', () => {
+      const error = { dummy: 'error' };
+      api.get.mockRejectedValue(error);
 
-        const result = store.getters.where({ filter });
+      const first = store.dispatch('loadRelated', {
+        parent: { type: 'users', id: '42' },
+      });
+      const second = store.dispatch('loadRelated', {
+        parent: {
+          type: 'users',
+          id: '42',
+          attributes: { name: 'Someone' },
+        },
+      });
 
-        expect(result).toEqual([]);
+      return Promise.all([
+        expect(first).rejects.toEqual(error),
+        expect(second).rejects.toEqual(error),
+      ]).then(() => {
+        expect(api.get).toHaveBeenCalledTimes(1);
       });
     });
   });
 
-  describe('creating', () => {
-    const widget = {
+  describe('per-query status', () => {
+    const record = {
+      type: 'widgets',
+      id: '1',
       attributes: {
-        title: 'Baz',
+        title: 'Foo',
       },
     };
-
-    const responseWidget = {
-      type: 'widget',
-      id: '27',
-      attributes: widget.attributes,
-    };
-
-    describe('success', () => {
-      beforeEach(() => {
-        api.post.mockResolvedValue({
-          data: {
-            data: responseWidget,
-          },
-        });
-
-        return store.dispatch('create', widget);
-      });
-
-      it('sends the record to the server', () => {
-        const expectedBody = {
-          data: {
-            type: 'widgets',
-            attributes: widget.attributes,
-          },
-        };
-        expect(api.post).toHaveBeenCalledWith('widgets', expectedBody);
-      });
-
-      it('sets loading to false', () => {
-        expect(store.getters.isLoading).toEqual(false);
+    const filter = { category: 'whizbang' };
+    const parent = { type: 'users', id: '42' };
+
+    it('starts out in the initial status', () => {
+      expect(store.getters.statusForById({ id: '1' })).toEqual('INITIAL');
+      expect(store.getters.queryForWhere({ filter })).toEqual({
+        status: 'INITIAL',
+        error: null,
+        startedAt: null,
+        finishedAt: null,
       });
+    });
 
-      it('adds the record to the list', () => {
-        const records = store.getters.all;
+    it('tracks the loading status of each query separately', () => {
+      let resolveList;
+      api.get
+        .mockReturnValueOnce(new Promise(resolve => (resolveList = resolve)))
+        .mockResolvedValueOnce({ data: { data: record } });
 
-        expect(records.length).toEqual(1);
+      const listResponse = store.dispatch('loadWhere', { filter });
+      const detailResponse = store.dispatch('loadById', { id: '1' });
 
-        const firstRecord = records[0];
-        expect(firstRecord.id).toEqual('27');
-        expect(firstRecord.attributes.title).toEqual('Baz');
-      });
+      return detailResponse
+        .then(() => {
+          expect(store.getters.isLoadingById({ id: '1' })).toEqual(false);
+          expect(store.getters.statusForById({ id: 1 })).toEqual('SUCCESS');
+          expect(store.getters.isLoadingWhere({ filter })).toEqual(true);
+          expect(store.getters.isLoading).toEqual(true);
 
-      it('makes the record available in the lastCreated getter', () => {
-        const record = store.getters.lastCreated;
-        expect(record.id).toEqual('27');
-        expect(record.attributes.title).toEqual('Baz');
-      });
+          resolveList({ data: { data: [record] } });
+          return listResponse;
+        })
+        .then(() => {
+          expect(store.getters.isLoadingWhere({ filter })).toEqual(false);
+          expect(store.getters.isLoading).toEqual(false);
+        });
     });
 
-    describe('error', () => {
-      const errorResponse = { dummy: 'error' };
-
-      let response;
+    it('keeps an error from hiding another query that succeeded', () => {
+      const error = { dummy: 'error' };
+      api.get
+        .mockRejectedValueOnce(error)
+        .mockResolvedValueOnce({ data: { data: [record] } });
+
+      return store
+        .dispatch('loadRelated', { parent })
+        .catch(() => store.dispatch('loadAll'))
+        .then(() => {
+          expect(store.getters.isErrorRelated({ parent })).toEqual(true);
+          expect(store.getters.errorForRelated({ parent })).toEqual(error);
+          expect(store.getters.isErrorAll()).toEqual(false);
+          expect(store.getters.statusForAll()).toEqual('SUCCESS');
+          expect(store.getters.isError).toEqual(true);
+        });
+    });
 
-      beforeEach(() => {
-        api.post.mockRejectedValue({ response: errorResponse });
-        response = store.dispatch('create', widget);
-      });
+    it('records when each query started and finished', () => {
+      api.get.mockResolvedValue({ data: { data: [] } });
+      const before = Date.now();
 
-      it('rejects with the error', () => {
-        expect(response).rejects.toEqual(errorResponse);
+      return store.dispatch('loadPage', { options: { page: 2 } }).then(() => {
+        const query = store.getters.queryForPage({ options: { page: 2 } });
+        expect(query.startedAt).toBeGreaterThanOrEqual(before);
+        expect(query.finishedAt).toBeGreaterThanOrEqual(query.startedAt);
+        expect(store.getters.queryForPage({ options: { page: 3 } })).toEqual(
+          expect.objectContaining({ status: 'INITIAL' }),
+        );
       });
     });
   });
 
-  describe('updating', () => {
+  describe('caching', () => {
     const record = {
-      type: 'widget',
-      id: '42',
+      type: 'widgets',
+      id: '1',
       attributes: {
-        title: 'Baz',
-      },
-      relationships: {
-        categories: {
-          data: [{ type: 'category', id: '27' }],
-        },
+        title: 'Foo',
       },
     };
+    const filter = { category: 'whizbang' };
+    const parent = { type: 'users', id: '42' };
+    let now;
 
-    const recordWithUpdatedData = {
-      type: 'widget',
-      id: '42',
-      attributes: {
-        title: 'Bar',
-      },
-    };
+    beforeEach(() => {
+      now = 1000000;
+      jest.spyOn(Date, 'now').mockImplementation(() => now);
+    });
 
-    describe('success', () => {
-      beforeEach(() => {
-        // returned data not used right now
-        // probably need to in case server chagnes the values
-        api.patch.mockResolvedValue({ data: {} });
+    afterEach(() => {
+      Date.now.mockRestore();
+    });
 
-        store.commit('REPLACE_ALL_RECORDS', [
-          {
-            type: 'widget',
-            id: '42',
-            attributes: {
-              title: 'Foo',
-            },
-          },
-        ]);
+    it('requests again by default', () => {
+      api.get.mockResolvedValue({ data: { data: record } });
 
-        return store.dispatch('update', recordWithUpdatedData);
+      return store
+        .dispatch('loadById', { id: '1' })
+        .then(() => store.dispatch('loadById', { id: '1' }))
+        .then(() => {
+          expect(api.get).toHaveBeenCalledTimes(2);
+        });
+    });
+
+    describe('with a per-call cache-first policy', () => {
+      it('skips the request for a record that was already loaded', () => {
+        api.get.mockResolvedValue({ data: { data: record } });
+
+        return store
+          .dispatch('loadById', { id: '1' })
+          .then(() =>
+            store.dispatch('loadById', { id: 1, cachePolicy: 'cache-first' }),
+          )
+          .then(() => {
+            expect(api.get).toHaveBeenCalledTimes(1);
+          });
       });
 
-      it('sends the record to the server', () => {
-        const expectedBody = {
-          data: recordWithUpdatedData,
-        };
+      it('requests a record that has not been loaded', () => {
+        api.get.mockResolvedValue({ data: { data: record } });
 
-        expect(api.patch).toHaveBeenCalledWith(
-          `widgets/${record.id}`,
-          expectedBody,
-        );
+        return store
+          .dispatch('loadById', { id: '1', cachePolicy: 'cache-first' })
+          .then(() => {
+            expect(api.get).toHaveBeenCalledTimes(1);
+          });
       });
 
-      it('overwrites an existing record with the same ID', () => {
-        const records = store.getters.all;
-        expect(records.length).toEqual(1);
-        const firstRecord = records[0];
-        expect(firstRecord.attributes.title).toEqual('Bar');
+      it('skips the request for a filter that was already loaded', () => {
+        api.get.mockResolvedValue({ data: { data: [record] } });
+
+        return store
+          .dispatch('loadWhere', { filter })
+          .then(() =>
+            store.dispatch('loadWhere', { filter, cachePolicy: 'cache-first' }),
+          )
+          .then(() => {
+            expect(api.get).toHaveBeenCalledTimes(1);
+            expect(store.getters.where({ filter })).toEqual([record]);
+          });
       });
 
-      it('updates related to-one records', () => {
-        const oldRestaurant = {
-          type: 'restaurants',
-          id: '2',
-        };
-        const newRestaurant = {
-          type: 'restaurants',
-          id: '3',
-        };
-        const dish = {
-          type: 'dishes',
-          id: '1',
-          relationships: {
-            restaurant: {
-              data: oldRestaurant,
-            },
-          },
-        };
+      it('skips the request for related records that were already loaded', () => {
+        api.get.mockResolvedValue({ data: { data: [record] } });
 
-        api.get.mockResolvedValue({
-          data: {
+        return store
+          .dispatch('loadRelated', { parent })
+          .then(() =>
+            store.dispatch('loadRelated', {
+              parent,
+              cachePolicy: 'cache-first',
+            }),
+          )
+          .then(() => {
+            expect(api.get).toHaveBeenCalledTimes(1);
+          });
+      });
+
+      it('skips the request for the page that was already loaded', () => {
+        api.get.mockResolvedValue({ data: { data: [record] } });
+        const options = { 'page[number]': 1 };
+
+        return store
+          .dispatch('loadPage', { options })
+          .then(() =>
+            store.dispatch('loadPage', { options, cachePolicy: 'cache-first' }),
+          )
+          .then(() =>
+            store.dispatch('loadPage', {
+              options: { 'page[number]': 2 },
+              cachePolicy: 'cache-first',
+            }),
+          )
+          .then(() => {
+            expect(api.get).toHaveBeenCalledTimes(2);
+          });
+      });
+
+      it('skips the request when all records were already loaded', () => {
+        api.get.mockResolvedValue({ data: { data: [record] } });
+
+        return store
+          .dispatch('loadAll')
+          .then(() => store.dispatch('loadAll', { cachePolicy: 'cache-first' }))
+          .then(() => {
+            expect(api.get).toHaveBeenCalledTimes(1);
+          });
+      });
+
+      it('requests all records again with different options', () => {
+        api.get.mockResolvedValue({ data: { data: [record] } });
+
+        return store
+          .dispatch('loadAll')
+          .then(() =>
+            store.dispatch('loadAll', {
+              options: { include: 'comments' },
+              cachePolicy: 'cache-first',
+            }),
+          )
+          .then(() =>
+            store.dispatch('loadAll', {
+              options: { include: 'comments' },
+              cachePolicy: 'cache-first',
+            }),
+          )
+          .then(() => {
+            expect(api.get).toHaveBeenCalledTimes(2);
+            expect(api.get).toHaveBeenLastCalledWith(
+              'widgets?include=comments',
+            );
+          });
+      });
+
+      it('requests a record again with different options', () => {
+        api.get.mockResolvedValue({ data: { data: record } });
+        const options = { fields: { widgets: 'title' } };
+
+        return store
+          .dispatch('loadById', { id: '1' })
+          .then(() =>
+            store.dispatch('loadById', {
+              id: '1',
+              options,
+              cachePolicy: 'cache-first',
+            }),
+          )
+          .then(() =>
+            store.dispatch('loadById', {
+              id: '1',
+              options,
+              cachePolicy: 'cache-first',
+            }),
+          )
+          .then(() => {
+            expect(api.get).toHaveBeenCalledTimes(2);
+          });
+      });
+
+      it('requests related records again with different options', () => {
+        api.get.mockResolvedValue({ data: { data: [record] } });
+        const options = { include: 'author' };
+
+        return store
+          .dispatch('loadRelated', { parent })
+          .then(() =>
+            store.dispatch('loadRelated', {
+              parent,
+              options,
+              cachePolicy: 'cache-first',
+            }),
+          )
+          .then(() =>
+            store.dispatch('loadRelated', {
+              parent,
+              options,
+              cachePolicy: 'cache-first',
+            }),
+          )
+          .then(() =>
+            store.dispatch('loadRelated', {
+              parent,
+              cachePolicy: 'cache-first',
+            }),
+          )
+          .then(() => {
+            expect(api.get).toHaveBeenCalledTimes(2);
+            expect(api.get).toHaveBeenLastCalledWith(
+              'users/42/widgets?include=author',
+            );
+          });
+      });
+    });
+
+    describe('with a per-call maxAge', () => {
+      beforeEach(() => {
+        api.get.mockResolvedValue({ data: { data: [record] } });
+        return store.dispatch('loadWhere', { filter });
+      });
+
+      it('skips the request while the data is fresh', () => {
+        now += 5000;
+        return store
+          .dispatch('loadWhere', { filter, maxAge: 5000 })
+          .then(() => {
+            expect(api.get).toHaveBeenCalledTimes(1);
+          });
+      });
+
+      it('requests again once the data is stale', () => {
+        now += 5001;
+        return store
+          .dispatch('loadWhere', { filter, maxAge: 5000 })
+          .then(() => {
+            expect(api.get).toHaveBeenCalledTimes(2);
+          });
+      });
+
+      it('does not store the cache settings with the filter', () => {
+        expect(store.state.filtered[0]).not.toHaveProperty('maxAge');
+      });
+    });
+
+    describe('with module-level settings', () => {
+      beforeEach(() => {
+        store = new Vuex.Store(
+          resourceModule({
+            name: 'widgets',
+            httpClient: api,
+            cachePolicy: 'cache-first',
+            maxAge: 60000,
+          }),
+        );
+        api.get.mockResolvedValue({ data: { data: record } });
+        return store.dispatch('loadById', { id: '1' });
+      });
+
+      it('uses the module settings', () => {
+        now += 60000;
+        return store.dispatch('loadById', { id: '1' }).then(() => {
+          expect(api.get).toHaveBeenCalledTimes(1);
+        });
+      });
+
+      it('allows overriding the policy per call', () => {
+        return store
+          .dispatch('loadById', { id: '1', cachePolicy: 'network-only' })
+          .then(() => {
+            expect(api.get).toHaveBeenCalledTimes(2);
+          });
+      });
+
+      it('allows overriding the maxAge per call', () => {
+        now += 1001;
+        return store
+          .dispatch('loadById', { id: '1', maxAge: 1000 })
+          .then(() => {
+            expect(api.get).toHaveBeenCalledTimes(2);
+          });
+      });
+    });
+  });
+
+  describe('pushing changes into the store', () => {
+    describe('adding records', () => {
+      const record = {
+        type: 'widget',
+        id: '42',
+        attributes: {
+          title: 'Bar',
+        },
+      };
+
+      describe('when the record does not yet exist', () => {
+        it('adds the record', () => {
+          return store.dispatch('storeRecord', record).then(() => {
+            const records = store.getters.all;
+            expect(records.length).toEqual(1);
+            const firstRecord = records[0];
+            expect(firstRecord.attributes.title).toEqual('Bar');
+          });
+        });
+      });
+
+      describe('when the record already exists', () => {
+        it('replaces the record', () => {
+          store.commit('REPLACE_ALL_RECORDS', [
+            {
+              type: 'widget',
+              id: '42',
+              attributes: {
+                title: 'Foo',
+              },
+            },
+          ]);
+
+          store.dispatch('storeRecord', record).then(() => {
+            const records = store.getters.all;
+            expect(records.length).toEqual(1);
+            const firstRecord = records[0];
+            expect(firstRecord.attributes.title).toEqual('Bar');
+          });
+        });
+      });
+    });
+
+    describe('removing records', () => {
+      it('removes the record from the store', () => {
+        const record = {
+          type: 'widget',
+          id: '42',
+          attributes: {
+            title: 'Foo',
+          },
+        };
+
+        store.commit('REPLACE_ALL_RECORDS', [
+          record,
+          {
+            type: 'widget',
+            id: '27',
+            attributes: {
+              title: 'Bar',
+            },
+          },
+        ]);
+
+        store.dispatch('removeRecord', record).then(() => {
+          const records = store.getters.all;
+          expect(records.length).toEqual(1);
+          const firstRecord = records[0];
+          expect(firstRecord.attributes.title).toEqual('Bar');
+        });
+      });
+    });
+
+    describe('ingesting documents', () => {
+      const widget = {
+        type: 'widgets',
+        id: '1',
+        attributes: { title: 'Foo', color: 'red' },
+        relationships: {
+          owner: { data: { type: 'users', id: '1' } },
+          tags: { data: [{ type: 'tags', id: '1' }] },
+        },
+      };
+      const widgetIds = records => records.map(({ id }) => id);
+
+      let multiStore;
+
+      beforeEach(() => {
+        multiStore = new Vuex.Store({
+          modules: mapResourceModules({
+            names: ['widgets', 'users', 'tags'],
+            httpClient: api,
+          }),
+        });
+        return multiStore.dispatch('widgets/ingestDocument', {
+          data: widget,
+          included: [
+            { type: 'users', id: '1', attributes: { name: 'Ada' } },
+            { type: 'tags', id: '1', attributes: { name: 'new' } },
+          ],
+          meta: { pushedAt: 'now' },
+        });
+      });
+
+      it('stores the primary and included records in their modules', () => {
+        expect(multiStore.getters['widgets/byId']({ id: '1' })).toEqual(widget);
+        expect(
+          multiStore.getters['users/byId']({ id: '1' }).attributes.name,
+        ).toEqual('Ada');
+        expect(multiStore.getters['widgets/lastMeta']).toEqual({
+          pushedAt: 'now',
+        });
+      });
+
+      it('updates the related records', () => {
+        const parent = { type: 'widgets', id: '1' };
+        expect(
+          multiStore.getters['users/related']({ parent, relationship: 'owner' })
+            .id,
+        ).toEqual('1');
+        expect(
+          widgetIds(multiStore.getters['tags/related']({ parent })),
+        ).toEqual(['1']);
+      });
+
+      it('only replaces the relationships a later document carries', () => {
+        const parent = { type: 'widgets', id: '1' };
+
+        return multiStore
+          .dispatch('widgets/ingestDocument', {
+            data: {
+              type: 'widgets',
+              id: '1',
+              attributes: { title: 'Bar' },
+              relationships: { tags: { data: [] } },
+            },
+          })
+          .then(() => {
+            const record = multiStore.getters['widgets/byId']({ id: '1' });
+            expect(record.attributes).toEqual({ title: 'Bar', color: 'red' });
+            expect(multiStore.getters['tags/related']({ parent })).toEqual([]);
+            expect(
+              multiStore.getters['users/related']({
+                parent,
+                relationship: 'owner',
+              }).id,
+            ).toEqual('1');
+          });
+      });
+
+      it('removes the records listed as deleted', () => {
+        return multiStore
+          .dispatch('widgets/ingestDocument', {
+            meta: {
+              deleted: [
+                { type: 'widgets', id: '1' },
+                { type: 'users', id: '1' },
+              ],
+            },
+          })
+          .then(() => {
+            expect(multiStore.getters['widgets/all']).toEqual([]);
+            expect(multiStore.getters['users/all']).toEqual([]);
+          });
+      });
+
+      it('skips records of types without a module', () => {
+        return multiStore
+          .dispatch('widgets/ingestDocument', {
+            data: { type: 'people', id: '2', attributes: { name: 'Bo' } },
+            meta: { deleted: [{ type: 'people', id: '3' }] },
+          })
+          .then(() => {
+            expect(widgetIds(multiStore.getters['widgets/all'])).toEqual(['1']);
+            expect(
+              multiStore.getters['widgets/byId']({ id: '2' }),
+            ).toBeUndefined();
+          });
+      });
+
+      it('stores records in a store with only this module', () => {
+        return store
+          .dispatch('ingestDocument', {
+            data: [
+              { type: 'widgets', id: '1', attributes: { title: 'Foo' } },
+              { type: 'widgets', id: '2', attributes: { title: 'Bar' } },
+            ],
+          })
+          .then(() => {
+            expect(widgetIds(store.getters.all)).toEqual(['1', '2']);
+          });
+      });
+    });
+  });
+
+  describe('retrieving from the store', () => {
+    beforeEach(() => {
+      store.commit('REPLACE_ALL_RECORDS', [
+        {
+          type: 'widget',
+          id: '27',
+          attributes: {
+            title: 'Foo',
+          },
+        },
+        {
+          type: 'widget',
+          id: '42',
+          attributes: {
+            title: 'Bar',
+          },
+        },
+      ]);
+    });
+
+    describe('all', () => {
+      it('returns all records', () => {
+        const result = store.getters.all;
+
+        expect(result.length).toEqual(2);
+        expect(result[0].id).toEqual('27');
+      });
+    });
+
+    describe('by ID', () => {
+      it('allows retrieving the record by ID', () => {
+        const id = '42';
+        const storedRecord = store.getters.byId({ id });
+        expect(storedRecord.id).toEqual(id);
+        expect(storedRecord.attributes.title).toEqual('Bar');
+      });
+
+      it('can retrieve records with numeric IDs', () => {
+        const id = 42;
+        const storedRecord = store.getters.byId({ id });
+        expect(storedRecord.attributes.title).toEqual('Bar');
+      });
+    });
+
+    describe('related', () => {
+      it('allows retrieving related records', () => {
+        store.commit('REPLACE_ALL_RELATED', [
+          {
+            parent: {
+              type: 'user',
+              id: '42',
+            },
+            relationship: 'purchased-widgets',
+            relatedIds: ['27', '42'],
+          },
+        ]);
+
+        store.commit('REPLACE_ALL_RECORDS', [
+          {
+            type: 'widgets',
+            id: '9',
+            attributes: {
+              title: 'Foo',
+            },
+          },
+          {
+            type: 'widgets',
+            id: '27',
+            attributes: {
+              title: 'Bar',
+            },
+          },
+          {
+            type: 'widgets',
+            id: '42',
+            attributes: {
+              title: 'Baz',
+            },
+          },
+        ]);
+
+        const parent = {
+          type: 'user',
+          id: '42',
+        };
+
+        const result = store.getters.related({
+          parent,
+          relationship: 'purchased-widgets',
+        });
+
+        expect(result.length).toEqual(2);
+        expect(result[0].id).toEqual('27');
+        expect(result[0].attributes.title).toEqual('Bar');
+      });
+
+      it('does not error out if there is no relationship data', () => {
+        const parent = {
+          type: 'user',
+          id: '27',
+        };
+
+        const result = store.getters.related({
+          parent,
+          relationship: 'purchased-widgets',
+        });
+
+        expect(result).toEqual(null);
+      });
+    });
+
+    describe('filter', () => {
+      it('does not error on filter that has not been sent', () => {
+        const filter = {
+          first: 'time',
+        };
+
+        const result = store.getters.where({ filter });
+
+        expect(result).toEqual([]);
+      });
+    });
+
+    describe('query', () => {
+      const ids = records => records.map(({ id }) => id);
+
+      beforeEach(() => {
+        store.commit('REPLACE_ALL_RECORDS', [
+          {
+            type: 'widgets',
+            id: '1',
+            attributes: { title: 'Foo', rank: 2, createdAt: null },
+            relationships: {
+              category: { data: { type: 'categories', id: '1' } },
+              tags: { data: [{ type: 'tags', id: '7' }] },
+            },
+          },
+          {
+            type: 'widgets',
+            id: '2',
+            attributes: { title: 'Bar', rank: 1, createdAt: '2020-02-01' },
+            relationships: {
+              category: { data: null },
+              tags: { data: [] },
+            },
+          },
+          {
+            type: 'widgets',
+            id: '3',
+            attributes: { title: 'Baz', rank: 2, createdAt: '2020-01-01' },
+            relationships: {
+              category: { data: { type: 'categories', id: '2' } },
+              tags: {
+                data: [
+                  { type: 'tags', id: '7' },
+                  { type: 'tags', id: '8' },
+                ],
+              },
+            },
+          },
+        ]);
+      });
+
+      it('returns all records without params', () => {
+        expect(ids(store.getters.query())).toEqual(['1', '2', '3']);
+      });
+
+      it('filters with a predicate', () => {
+        const records = store.getters.query({
+          filter: record => record.attributes.title.startsWith('B'),
+        });
+        expect(ids(records)).toEqual(['2', '3']);
+      });
+
+      it('filters by attribute values and predicates', () => {
+        expect(ids(store.getters.query({ filter: { rank: 2 } }))).toEqual([
+          '1',
+          '3',
+        ]);
+        expect(
+          ids(store.getters.query({ filter: { title: ['Foo', 'Bar'] } })),
+        ).toEqual(['1', '2']);
+        expect(
+          ids(
+            store.getters.query({
+              filter: { rank: 2, title: title => title.includes('z') },
+            }),
+          ),
+        ).toEqual(['3']);
+      });
+
+      it('filters by relationship linkage', () => {
+        const query = filter => ids(store.getters.query({ filter }));
+        expect(query({ category: '2' })).toEqual(['3']);
+        expect(query({ category: { type: 'categories', id: '1' } })).toEqual([
+          '1',
+        ]);
+        expect(query({ category: null })).toEqual(['2']);
+        expect(query({ tags: '7' })).toEqual(['1', '3']);
+        expect(query({ tags: ['8', '9'] })).toEqual(['3']);
+      });
+
+      it('sorts with JSON:API sort syntax', () => {
+        expect(ids(store.getters.query({ sort: '-rank,title' }))).toEqual([
+          '3',
+          '1',
+          '2',
+        ]);
+      });
+
+      it('sorts missing values last', () => {
+        expect(ids(store.getters.query({ sort: 'createdAt' }))).toEqual([
+          '3',
+          '2',
+          '1',
+        ]);
+        expect(ids(store.getters.query({ sort: '-createdAt' }))).toEqual([
+          '2',
+          '3',
+          '1',
+        ]);
+      });
+
+      it('applies offset and limit after sorting', () => {
+        const records = store.getters.query({
+          sort: 'title',
+          offset: 1,
+          limit: 1,
+        });
+        expect(ids(records)).toEqual(['3']);
+      });
+
+      it('does not reorder the stored records', () => {
+        store.getters.query({ sort: 'title' });
+        expect(ids(store.getters.all)).toEqual(['1', '2', '3']);
+      });
+    });
+
+    describe('with many records', () => {
+      const count = 5000;
+      const records = Array.from({ length: count }, (_, i) => ({
+        type: 'widgets',
+        id: String(i),
+        attributes: {
+          title: `Widget ${i}`,
+        },
+      }));
+      const filter = { category: 'all' };
+
+      beforeEach(() => {
+        store.commit('REPLACE_ALL_RECORDS', records.slice().reverse());
+        store.commit('STORE_FILTERED', {
+          params: { filter },
+          matchedIds: records.map(record => record.id),
+        });
+      });
+
+      it('reads the same number of records per lookup at any size', () => {
+        const lookups = 50;
+
+        // counts how many elements of the records array are read
+        const readsPerLookup = size => {
+          const sizedStore = new Vuex.Store(
+            resourceModule({ name: 'widgets', httpClient: api }),
+          );
+          // the records looked up are stored last, where a scan finds them
+          // only after reading all the others
+          sizedStore.commit(
+            'REPLACE_ALL_RECORDS',
+            records.slice(0, size).reverse(),
+          );
+          sizedStore.commit('STORE_FILTERED', {
+            params: { filter },
+            matchedIds: records.slice(0, lookups).map(record => record.id),
+          });
+          let reads = 0;
+          sizedStore.state.records = new Proxy(sizedStore.state.records, {
+            get(target, key, receiver) {
+              if (typeof key === 'string' && /^\d+$/.test(key)) {
+                reads += 1;
+              }
+              return Reflect.get(target, key, receiver);
+            },
+          });
+          // the first lookup on a new array may index it
+          sizedStore.getters.where({ filter });
+          const before = reads;
+
+          const found = sizedStore.getters.where({ filter });
+
+          expect(found.map(({ id }) => id)).toEqual(
+            records.slice(0, lookups).map(({ id }) => id),
+          );
+          return (reads - before) / lookups;
+        };
+
+        expect(readsPerLookup(count)).toEqual(readsPerLookup(500));
+      });
+
+      it('merges stored records without scanning the array', () => {
+        const updates = records.map(record => ({
+          ...record,
+          attributes: { title: 'Updated' },
+        }));
+        const findSpy = jest.spyOn(store.state.records, 'find');
+
+        store.commit('STORE_RECORDS', updates);
+
+        expect(findSpy).not.toHaveBeenCalled();
+        expect(store.getters.all.length).toEqual(count);
+        expect(store.getters.byId({ id: '4999' }).attributes.title).toEqual(
+          'Updated',
+        );
+      });
+    });
+  });
+
+  describe('hydrated records', () => {
+    const post = {
+      type: 'posts',
+      id: '1',
+      attributes: { title: 'Hello' },
+      relationships: {
+        comments: {
+          data: [
+            { type: 'comments', id: '1' },
+            { type: 'comments', id: '2' },
+          ],
+        },
+        author: {
+          data: { type: 'people', id: '1' },
+        },
+      },
+    };
+    const included = [
+      {
+        type: 'comments',
+        id: '1',
+        attributes: { text: 'First' },
+        relationships: {
+          author: { data: { type: 'people', id: '2' } },
+          post: { data: { type: 'posts', id: '1' } },
+        },
+      },
+      {
+        type: 'comments',
+        id: '2',
+        attributes: { text: 'Second' },
+        relationships: {
+          author: { data: { type: 'people', id: '1' } },
+          post: { data: { type: 'posts', id: '1' } },
+        },
+      },
+      { type: 'people', id: '1', attributes: { name: 'Alice' } },
+      { type: 'people', id: '2', attributes: { name: 'Bob' } },
+    ];
+
+    let multiStore;
+
+    beforeEach(() => {
+      multiStore = new Vuex.Store({
+        modules: mapResourceModules({
+          names: ['posts', 'comments', 'people'],
+          httpClient: api,
+        }),
+      });
+      api.get.mockResolvedValue({ data: { data: post, included } });
+      return multiStore.dispatch('posts/loadById', { id: '1' });
+    });
+
+    const hydrated = params => multiStore.getters['posts/hydrated'](params);
+
+    it('returns null for a record that is not in the store', () => {
+      expect(hydrated({ id: '99' })).toEqual(null);
+    });
+
+    it('returns the record without relationships resolved by default', () => {
+      const result = hydrated({ id: '1' });
+      expect(result.attributes.title).toEqual('Hello');
+      expect(result).not.toHaveProperty('comments');
+    });
+
+    it('resolves nested relationships across modules', () => {
+      const result = hydrated({ id: '1', include: 'comments.author,author' });
+
+      expect(result.author.attributes.name).toEqual('Alice');
+      expect(result.comments.map(c => c.attributes.text)).toEqual([
+        'First',
+        'Second',
+      ]);
+      expect(result.comments[0].author.attributes.name).toEqual('Bob');
+      expect(result.comments[1].author.attributes.name).toEqual('Alice');
+    });
+
+    it('handles relationships that lead back to a record', () => {
+      const result = hydrated({ id: '1', include: 'comments.post.comments' });
+
+      const backToPost = result.comments[0].post;
+      expect(backToPost.id).toEqual('1');
+      expect(backToPost.comments.length).toEqual(2);
+      expect(result.comments[1].post).toBe(backToPost);
+    });
+
+    it('falls back to the related index when there is no linkage', () => {
+      multiStore.dispatch('posts/storeRecord', {
+        type: 'posts',
+        id: '2',
+        attributes: { title: 'No linkage' },
+      });
+      multiStore.dispatch('comments/storeRelated', {
+        params: { parent: { type: 'posts', id: '2' } },
+        relatedIds: ['1'],
+      });
+
+      const result = hydrated({ id: '2', include: 'comments' });
+      expect(result.comments.map(c => c.id)).toEqual(['1']);
+    });
+
+    it('updates when the store changes', () => {
+      const vm = new Vue({
+        computed: {
+          authorName: () =>
+            hydrated({ id: '1', include: 'author' }).author.attributes.name,
+        },
+      });
+      expect(vm.authorName).toEqual('Alice');
+
+      multiStore.dispatch('people/storeRecord', {
+        type: 'people',
+        id: '1',
+        attributes: { name: 'Alicia' },
+      });
+
+      expect(vm.authorName).toEqual('Alicia');
+    });
+  });
+
+  describe('creating', () => {
+    const widget = {
+      attributes: {
+        title: 'Baz',
+      },
+    };
+
+    const responseWidget = {
+      type: 'widget',
+      id: '27',
+      attributes: widget.attributes,
+    };
+
+    describe('success', () => {
+      beforeEach(() => {
+        api.post.mockResolvedValue({
+          data: {
+            data: responseWidget,
+          },
+        });
+
+        return store.dispatch('create', widget);
+      });
+
+      it('sends the record to the server', () => {
+        const expectedBody = {
+          data: {
+            type: 'widgets',
+            attributes: widget.attributes,
+          },
+        };
+        expect(api.post).toHaveBeenCalledWith('widgets', expectedBody);
+      });
+
+      it('sets loading to false', () => {
+        expect(store.getters.isLoading).toEqual(false);
+      });
+
+      it('adds the record to the list', () => {
+        const records = store.getters.all;
+
+        expect(records.length).toEqual(1);
+
+        const firstRecord = records[0];
+        expect(firstRecord.id).toEqual('27');
+        expect(firstRecord.attributes.title).toEqual('Baz');
+      });
+
+      it('makes the record available in the lastCreated getter', () => {
+        const record = store.getters.lastCreated;
+        expect(record.id).toEqual('27');
+        expect(record.attributes.title).toEqual('Baz');
+      });
+    });
+
+    describe('error', () => {
+      const errorResponse = { dummy: 'error' };
+
+      let response;
+
+      beforeEach(() => {
+        api.post.mockRejectedValue({ response: errorResponse });
+        response = store.dispatch('create', widget);
+      });
+
+      it('rejects with the error', () => {
+        expect(response).rejects.toEqual(errorResponse);
+      });
+    });
+  });
+
+  describe('updating', () => {
+    const record = {
+      type: 'widget',
+      id: '42',
+      attributes: {
+        title: 'Baz',
+      },
+      relationships: {
+        categories: {
+          data: [{ type: 'category', id: '27' }],
+        },
+      },
+    };
+
+    const recordWithUpdatedData = {
+      type: 'widget',
+      id: '42',
+      attributes: {
+        title: 'Bar',
+      },
+    };
+
+    describe('success', () => {
+      beforeEach(() => {
+        // returned data not used right now
+        // probably need to in case server chagnes the values
+        api.patch.mockResolvedValue({ data: {} });
+
+        store.commit('REPLACE_ALL_RECORDS', [
+          {
+            type: 'widget',
+            id: '42',
+            attributes: {
+              title: 'Foo',
+            },
+          },
+        ]);
+
+        return store.dispatch('update', recordWithUpdatedData);
+      });
+
+      it('sends the record to the server', () => {
+        const expectedBody = {
+          data: recordWithUpdatedData,
+        };
+
+        expect(api.patch).toHaveBeenCalledWith(
+          `widgets/${record.id}`,
+          expectedBody,
+        );
+      });
+
+      it('overwrites an existing record with the same ID', () => {
+        const records = store.getters.all;
+        expect(records.length).toEqual(1);
+        const firstRecord = records[0];
+        expect(firstRecord.attributes.title).toEqual('Bar');
+      });
+
+      it('updates related to-one records', () => {
+        const oldRestaurant = {
+          type: 'restaurants',
+          id: '2',
+        };
+        const newRestaurant = {
+          type: 'restaurants',
+          id: '3',
+        };
+        const dish = {
+          type: 'dishes',
+          id: '1',
+          relationships: {
+            restaurant: {
+              data: oldRestaurant,
+            },
+          },
+        };
+
+        api.get.mockResolvedValue({
+          data: {
             data: [dish],
             included: [oldRestaurant],
           },
         });
-        const modules = mapResourceModules({
-          names: ['restaurants', 'dishes'],
-          httpClient: api,
+        const modules = mapResourceModules({
+          names: ['restaurants', 'dishes'],
+          httpClient: api,
+        });
+        const multiStore = new Vuex.Store({
+          modules,
+        });
+        multiStore.commit('restaurants/REPLACE_ALL_RECORDS', [
+          oldRestaurant,
+          newRestaurant,
+        ]);
+
+        const dishWithUpdatedRelationship = {
+          ...dish,
+          relationships: {
+            restaurant: {
+              data: newRestaurant,
+            },
+          },
+        };
+
+        return multiStore
+          .dispatch('dishes/loadById', { id: '1' })
+          .then(() =>
+            multiStore.dispatch('dishes/update', dishWithUpdatedRelationship),
+          )
+          .then(() => {
+            const records = multiStore.getters['restaurants/related']({
+              parent: dish,
+              relationship: 'restaurant',
+            });
+            expect(records).toEqual(newRestaurant);
+          });
+      });
+
+      it('updates related to-many records', () => {
+        const keepDish = {
+          type: 'dishes',
+          id: '1',
+        };
+        const oldDish = {
+          type: 'dishes',
+          id: '2',
+        };
+        const newDish = {
+          type: 'dishes',
+          id: '3',
+        };
+        const restaurant = {
+          type: 'restaurants',
+          id: '1',
+          relationships: {
+            dishes: {
+              data: [keepDish, oldDish],
+            },
+          },
+        };
+
+        api.get.mockResolvedValue({
+          data: {
+            data: [restaurant],
+            included: [keepDish, oldDish],
+          },
+        });
+        const modules = mapResourceModules({
+          names: ['restaurants', 'dishes'],
+          httpClient: api,
+        });
+        const multiStore = new Vuex.Store({
+          modules,
+        });
+        multiStore.commit('dishes/REPLACE_ALL_RECORDS', [
+          keepDish,
+          oldDish,
+          newDish,
+        ]);
+
+        const restaurantWithUpdatedRelationship = {
+          ...restaurant,
+          relationships: {
+            dishes: {
+              data: [keepDish, newDish],
+            },
+          },
+        };
+
+        return multiStore
+          .dispatch('restaurants/loadById', { id: '1' })
+          .then(
+            multiStore.dispatch(
+              'restaurants/update',
+              restaurantWithUpdatedRelationship,
+            ),
+          )
+          .then(() => {
+            const records = multiStore.getters['dishes/related']({
+              parent: restaurant,
+            });
+            expect(records).toEqual([keepDish, newDish]);
+          });
+      });
+
+      it('updates related to-many empty records', () => {
+        const post = {
+          type: 'posts',
+          id: '1',
+
+          relationships: {
+            // ancestor
+            author: {
+              data: {
+                type: 'people',
+                id: '1',
+              },
+            },
+
+            // descendants
+            comments: {
+              data: [
+                {
+                  type: 'comments',
+                  id: '1',
+                },
+              ],
+            },
+          },
+        };
+
+        const included = [
+          {
+            type: 'people',
+            id: '1',
+          },
+          {
+            type: 'comments',
+            id: '1',
+          },
+        ];
+
+        const store = new Vuex.Store({
+          modules: {
+            ...mapResourceModules({
+              names: ['posts', 'people', 'comments'],
+              httpClient: api,
+            }),
+          },
+        });
+
+        api.get.mockResolvedValue({
+          data: {
+            included,
+            data: post,
+          },
+        });
+
+        return store.dispatch('posts/loadById', { id: '1' }).then(() => {
+          const author = store.getters['people/related']({
+            parent: post,
+            relationship: 'author',
+          });
+
+          // check ancestor
+          expect(author).toEqual({
+            id: '1',
+            type: 'people',
+          });
+
+          const comments = store.getters['comments/related']({
+            parent: post,
+          });
+
+          // check descendants
+          expect(comments).toContainEqual({
+            id: '1',
+            type: 'comments',
+          });
+
+          // the new post will not have relationships
+          const newPost = {
+            type: 'posts',
+            id: '1',
+            relationships: {
+              comments: {
+                data: [],
+              },
+              author: {
+                data: null,
+              },
+            },
+          };
+
+          api.get.mockResolvedValue({
+            data: {
+              data: newPost,
+            },
+          });
+
+          return store.dispatch('posts/update', newPost).then(() => {
+            const author = store.getters['people/related']({
+              parent: post,
+              relationship: 'author',
+            });
+
+            // the new post does not have the author
+            expect(author).toEqual(undefined);
+
+            const comments = store.getters['comments/related']({
+              parent: post,
+            });
+
+            // the new post does not have comments
+            expect(comments).toEqual(undefined);
+          });
+        });
+      });
+    });
+
+    describe('error', () => {
+      const error = { dummy: 'error' };
+
+      let response;
+
+      beforeEach(() => {
+        api.patch.mockRejectedValue(error);
+        response = store.dispatch('update', record);
+      });
+
+      it('rejects with the error', () => {
+        expect(response).rejects.toEqual(error);
+      });
+    });
+  });
+
+  describe('deleting', () => {
+    const record = {
+      type: 'widget',
+      id: '42',
+      attributes: {
+        title: 'Baz',
+      },
+    };
+
+    describe('success', () => {
+      const allRecords = [
+        record,
+        {
+          type: 'widget',
+          id: '27',
+          attributes: {
+            title: 'Other',
+          },
+        },
+      ];
+
+      beforeEach(() => {
+        store.commit('REPLACE_ALL_RECORDS', allRecords);
+
+        api.delete.mockResolvedValue();
+
+        return store.dispatch('delete', record);
+      });
+
+      it('sends the delete request to the server', () => {
+        expect(api.delete).toHaveBeenCalledWith(`widgets/${record.id}`);
+      });
+
+      it('removes the record from the list', () => {
+        const records = store.getters.all;
+        expect(records.length).toEqual(allRecords.length - 1);
+      });
+    });
+
+    describe('error', () => {
+      const error = { dummy: 'error' };
+
+      let response;
+
+      beforeEach(() => {
+        api.delete.mockRejectedValue(error);
+        response = store.dispatch('delete', record);
+      });
+
+      it('rejects with the error', () => {
+        expect(response).rejects.toEqual(error);
+      });
+    });
+
+    describe('references to the deleted record', () => {
+      const widgets = [
+        { type: 'widgets', id: '1' },
+        { type: 'widgets', id: '2' },
+      ];
+      const categories = [
+        {
+          type: 'categories',
+          id: '1',
+          relationships: {
+            widgets: { data: widgets },
+            featured: { data: widgets[0] },
+          },
+        },
+      ];
+      const category = { type: 'categories', id: '1' };
+      const deletedWidget = { type: 'widgets', id: '1' };
+
+      const createStore = (widgetOptions = {}) => {
+        store = new Vuex.Store({
+          modules: {
+            widgets: resourceModule({
+              name: 'widgets',
+              httpClient: api,
+              ...widgetOptions,
+            }),
+            categories: resourceModule({ name: 'categories', httpClient: api }),
+          },
+        });
+        store.commit('widgets/STORE_RECORDS', widgets);
+        store.commit('widgets/STORE_PAGE', widgets);
+        store.commit('widgets/STORE_FILTERED', {
+          params: { filter: { color: 'red' } },
+          matchedIds: ['1', '2'],
+        });
+        store.commit('widgets/STORE_RELATED', {
+          params: { parent: category },
+          relatedIds: ['1', '2'],
+        });
+        store.commit('widgets/STORE_RELATED', {
+          params: { parent: category, relationship: 'featured' },
+          relatedIds: '1',
+        });
+        store.commit(
+          'categories/STORE_RECORDS',
+          JSON.parse(JSON.stringify(categories)),
+        );
+        store.commit('categories/STORE_RELATED', {
+          params: { parent: deletedWidget, relationship: 'category' },
+          relatedIds: '1',
+        });
+        api.delete.mockResolvedValue();
+      };
+
+      const ids = records => records.map(({ id }) => id);
+      const widgetsState = () => store.state.widgets;
+
+      describe('after deleting', () => {
+        beforeEach(() => {
+          createStore();
+          return store.dispatch('widgets/delete', deletedWidget);
+        });
+
+        it('removes the id from the page and filter indexes', () => {
+          expect(widgetsState().page).toEqual(['2']);
+          expect(widgetsState().filtered[0].matchedIds).toEqual(['2']);
+          expect(
+            ids(store.getters['widgets/where']({ filter: { color: 'red' } })),
+          ).toEqual(['2']);
+        });
+
+        it('removes the id from the related indexes', () => {
+          expect(
+            ids(store.getters['widgets/related']({ parent: category })),
+          ).toEqual(['2']);
+          expect(widgetsState().related[1].relatedIds).toEqual(null);
+        });
+
+        it('removes the linkage from records in other modules', () => {
+          const storedCategory = store.getters['categories/byId']({ id: '1' });
+          expect(ids(storedCategory.relationships.widgets.data)).toEqual(['2']);
+          expect(storedCategory.relationships.featured.data).toEqual(null);
+          expect(store.getters['categories/isDirty']({ id: '1' })).toEqual(
+            false,
+          );
+        });
+
+        it('keeps related entries whose parent was deleted', () => {
+          expect(
+            store.getters['categories/related']({
+              parent: deletedWidget,
+              relationship: 'category',
+            }).id,
+          ).toEqual('1');
+        });
+      });
+
+      it('removes related entries whose parent was deleted when configured to', () => {
+        createStore({ pruneOrphanedRelated: true });
+
+        return store.dispatch('widgets/delete', deletedWidget).then(() => {
+          expect(store.state.categories.related).toEqual([]);
+        });
+      });
+
+      it('removes references when removing a record from the store', () => {
+        createStore();
+        store.dispatch('widgets/removeRecord', deletedWidget);
+
+        expect(widgetsState().page).toEqual(['2']);
+        const storedCategory = store.getters['categories/byId']({ id: '1' });
+        expect(ids(storedCategory.relationships.widgets.data)).toEqual(['2']);
+        expect(api.delete).not.toHaveBeenCalled();
+      });
+
+      describe('with an optimistic delete that fails', () => {
+        beforeEach(() => {
+          createStore({ optimistic: true });
+          api.delete.mockRejectedValue({ status: 500 });
+        });
+
+        it('hides the record from the indexes while deleting', () => {
+          const deleting = store.dispatch('widgets/delete', deletedWidget);
+
+          expect(ids(store.getters['widgets/page'])).toEqual(['2']);
+          return deleting.catch(() => {});
+        });
+
+        it('leaves the references in place', () => {
+          return store.dispatch('widgets/delete', deletedWidget).catch(() => {
+            expect(ids(store.getters['widgets/page'])).toEqual(['1', '2']);
+            const storedCategory = store.getters['categories/byId']({
+              id: '1',
+            });
+            expect(ids(storedCategory.relationships.widgets.data)).toEqual([
+              '1',
+              '2',
+            ]);
+          });
+        });
+      });
+    });
+  });
+
+  describe('relationship endpoints', () => {
+    const widget = {
+      type: 'widgets',
+      id: '1',
+      relationships: {
+        tags: {
+          links: { related: 'widgets/1/tags' },
+          data: [{ type: 'tags', id: '1' }],
+        },
+        owner: {
+          data: { type: 'users', id: '1' },
+        },
+      },
+    };
+    const parent = { type: 'widgets', id: '1' };
+    const tagIds = () =>
+      store.getters['widgets/byId']({ id: '1' }).relationships.tags.data.map(
+        ({ id }) => id,
+      );
+    const relatedTagIds = () =>
+      store.getters['tags/related']({ parent }).map(({ id }) => id);
+
+    beforeEach(() => {
+      store = new Vuex.Store({
+        modules: mapResourceModules({
+          names: ['widgets', 'tags', 'users'],
+          httpClient: api,
+        }),
+      });
+      store.commit('tags/STORE_RECORDS', [
+        { type: 'tags', id: '1' },
+        { type: 'tags', id: '2' },
+        { type: 'tags', id: '3' },
+      ]);
+      store.commit('widgets/STORE_RECORD', JSON.parse(JSON.stringify(widget)));
+      api.post.mockResolvedValue({ data: '' });
+      api.delete.mockResolvedValue({ data: '' });
+      api.patch.mockResolvedValue({ data: '' });
+    });
+
+    describe('addToRelationship', () => {
+      beforeEach(() =>
+        store.dispatch('widgets/addToRelationship', {
+          id: '1',
+          relationship: 'tags',
+          data: [
+            { type: 'tags', id: '1' },
+            { type: 'tags', id: '2' },
+          ],
+        }),
+      );
+
+      it('posts the linkage to the relationship endpoint', () => {
+        expect(api.post).toHaveBeenCalledWith('widgets/1/relationships/tags', {
+          data: [
+            { type: 'tags', id: '1' },
+            { type: 'tags', id: '2' },
+          ],
+        });
+      });
+
+      it("adds the linkage to the parent record's relationship", () => {
+        expect(tagIds()).toEqual(['1', '2']);
+        expect(
+          store.getters['widgets/byId']({ id: '1' }).relationships.tags.links,
+        ).toEqual({ related: 'widgets/1/tags' });
+      });
+
+      it('updates the related records in the target module', () => {
+        expect(relatedTagIds()).toEqual(['1', '2']);
+      });
+
+      it('does not mark the parent record as changed', () => {
+        expect(store.getters['widgets/isDirty']({ id: '1' })).toEqual(false);
+      });
+    });
+
+    describe('removeFromRelationship', () => {
+      beforeEach(() =>
+        store.dispatch('widgets/removeFromRelationship', {
+          id: '1',
+          relationship: 'tags',
+          data: [{ type: 'tags', id: '1' }],
+        }),
+      );
+
+      it('sends the linkage to the relationship endpoint', () => {
+        expect(api.delete).toHaveBeenCalledWith(
+          'widgets/1/relationships/tags',
+          { data: { data: [{ type: 'tags', id: '1' }] } },
+        );
+      });
+
+      it('removes the linkage from the parent and the target module', () => {
+        expect(tagIds()).toEqual([]);
+        expect(relatedTagIds()).toEqual([]);
+      });
+    });
+
+    describe('replaceRelationship', () => {
+      it('replaces to-many linkage', () => {
+        return store
+          .dispatch('widgets/replaceRelationship', {
+            id: '1',
+            relationship: 'tags',
+            data: [{ type: 'tags', id: '3', attributes: { name: 'ignored' } }],
+          })
+          .then(() => {
+            expect(api.patch).toHaveBeenCalledWith(
+              'widgets/1/relationships/tags',
+              {
+                data: [{ type: 'tags', id: '3' }],
+              },
+            );
+            expect(tagIds()).toEqual(['3']);
+            expect(relatedTagIds()).toEqual(['3']);
+          });
+      });
+
+      it('clears to-one linkage', () => {
+        store.commit('users/STORE_RECORD', { type: 'users', id: '1' });
+        store.dispatch('users/storeRelated', {
+          params: { parent, relationship: 'owner' },
+          relatedIds: '1',
+        });
+
+        return store
+          .dispatch('widgets/replaceRelationship', {
+            id: '1',
+            relationship: 'owner',
+            data: null,
+          })
+          .then(() => {
+            expect(api.patch).toHaveBeenCalledWith(
+              'widgets/1/relationships/owner',
+              {
+                data: null,
+              },
+            );
+            expect(
+              store.getters['widgets/byId']({ id: '1' }).relationships.owner
+                .data,
+            ).toEqual(null);
+            expect(
+              store.getters['users/related']({
+                parent,
+                relationship: 'owner',
+              }),
+            ).toEqual(undefined);
+          });
+      });
+    });
+
+    it('uses the linkage returned by the server when there is one', () => {
+      api.post.mockResolvedValue({
+        data: {
+          data: [
+            { type: 'tags', id: '1' },
+            { type: 'tags', id: '2' },
+            { type: 'tags', id: '3' },
+          ],
+        },
+      });
+
+      return store
+        .dispatch('widgets/addToRelationship', {
+          id: '1',
+          relationship: 'tags',
+          data: [{ type: 'tags', id: '2' }],
+        })
+        .then(() => {
+          expect(tagIds()).toEqual(['1', '2', '3']);
+          expect(relatedTagIds()).toEqual(['1', '2', '3']);
+        });
+    });
+
+    it('rejects without changing the store when the request fails', () => {
+      const error = { status: 403 };
+      api.post.mockRejectedValue({ response: error });
+
+      return store
+        .dispatch('widgets/addToRelationship', {
+          id: '1',
+          relationship: 'tags',
+          data: [{ type: 'tags', id: '2' }],
+        })
+        .then(
+          () => {
+            throw new Error('should have rejected');
+          },
+          rejection => {
+            expect(rejection).toEqual(error);
+            expect(tagIds()).toEqual(['1']);
+          },
+        );
+    });
+  });
+
+  describe('following links', () => {
+    const category = {
+      type: 'categories',
+      id: '1',
+      relationships: {
+        widgets: {
+          links: {
+            self: 'v2/categories/1/links/widgets',
+            related: { href: 'v2/categories/1/widget-list' },
+          },
+        },
+      },
+      links: { self: 'v2/categories/1' },
+    };
+    const parent = { type: 'categories', id: '1' };
+
+    beforeEach(() => {
+      store = new Vuex.Store({
+        modules: mapResourceModules({
+          names: ['categories', 'widgets'],
+          httpClient: api,
+        }),
+      });
+      store.commit(
+        'categories/STORE_RECORD',
+        JSON.parse(JSON.stringify(category)),
+      );
+    });
+
+    it("loads related records from the stored parent's related link", () => {
+      api.get.mockResolvedValue({ data: { data: [] } });
+
+      return store.dispatch('widgets/loadRelated', { parent }).then(() => {
+        expect(api.get).toHaveBeenCalledWith('v2/categories/1/widget-list?');
+      });
+    });
+
+    it('adds options to a related link that has a query string', () => {
+      api.get.mockResolvedValue({ data: { data: [] } });
+      store.commit('categories/STORE_RECORD', {
+        type: 'categories',
+        id: '3',
+        relationships: {
+          widgets: { links: { related: 'categories/3/widgets?version=2' } },
+        },
+      });
+
+      return store
+        .dispatch('widgets/loadRelated', {
+          parent: { type: 'categories', id: '3' },
+          options: { include: 'owner' },
+        })
+        .then(() => {
+          expect(api.get).toHaveBeenCalledWith(
+            'categories/3/widgets?version=2&include=owner',
+          );
+        });
+    });
+
+    it('builds the nested URL for a parent without a related link', () => {
+      api.get.mockResolvedValue({ data: { data: [] } });
+      const other = { type: 'categories', id: '2' };
+
+      return store
+        .dispatch('widgets/loadRelated', { parent: other })
+        .then(() => {
+          expect(api.get).toHaveBeenCalledWith('categories/2/widgets?');
+        });
+    });
+
+    it("loads linkage from the stored parent's relationship self link", () => {
+      api.get.mockResolvedValue({ data: { data: [] } });
+
+      return store.dispatch('widgets/loadRelationship', { parent }).then(() => {
+        expect(api.get).toHaveBeenCalledWith('v2/categories/1/links/widgets');
+      });
+    });
+
+    it("changes a relationship through the record's self link", () => {
+      api.post.mockResolvedValue({ data: '' });
+
+      return store
+        .dispatch('categories/addToRelationship', {
+          id: '1',
+          relationship: 'widgets',
+          data: [{ type: 'widgets', id: '1' }],
+        })
+        .then(() => {
+          expect(api.post).toHaveBeenCalledWith(
+            'v2/categories/1/links/widgets',
+            { data: [{ type: 'widgets', id: '1' }] },
+          );
+        });
+    });
+
+    it('updates the record through its self link', () => {
+      api.patch.mockResolvedValue({ data: {} });
+      const updated = {
+        type: 'categories',
+        id: '1',
+        attributes: { name: 'Tools' },
+      };
+
+      return store.dispatch('categories/update', updated).then(() => {
+        expect(api.patch).toHaveBeenCalledWith('v2/categories/1', {
+          data: updated,
+        });
+      });
+    });
+
+    it('deletes the record through its self link', () => {
+      api.delete.mockResolvedValue();
+
+      return store.dispatch('categories/delete', parent).then(() => {
+        expect(api.delete).toHaveBeenCalledWith('v2/categories/1');
+      });
+    });
+  });
+
+  describe('with a schema', () => {
+    const schema = {
+      attributes: {
+        title: { type: 'string', default: 'Untitled' },
+        count: { type: 'number' },
+        publishedAt: { type: 'date' },
+        tags: { default: () => [] },
+        price: {
+          deserialize: value =>
+            typeof value === 'string' ? { amount: value } : value,
+          serialize: value => value.amount,
+        },
+      },
+      relationships: {
+        category: { type: 'categories' },
+        parts: { type: 'parts', toMany: true },
+      },
+    };
+    const serverRecord = {
+      type: 'widgets',
+      id: '1',
+      attributes: {
+        title: 'Foo',
+        count: '3',
+        publishedAt: '2020-01-02T03:04:05.000Z',
+        price: '9.99',
+      },
+    };
+
+    beforeEach(() => {
+      store = new Vuex.Store(
+        resourceModule({ name: 'widgets', httpClient: api, schema }),
+      );
+    });
+
+    it('only converts values that hold a number or a boolean', () => {
+      store = new Vuex.Store(
+        resourceModule({
+          name: 'widgets',
+          httpClient: api,
+          schema: {
+            attributes: { on: { type: 'boolean' }, count: { type: 'number' } },
+          },
+        }),
+      );
+      store.commit('STORE_RECORDS', [
+        { type: 'widgets', id: '1', attributes: { on: 'false', count: '' } },
+        { type: 'widgets', id: '2', attributes: { on: 'true', count: '2.5' } },
+        { type: 'widgets', id: '3', attributes: { on: 'yes', count: 'many' } },
+      ]);
+
+      expect(store.getters.all.map(({ attributes }) => attributes)).toEqual([
+        { on: false, count: '' },
+        { on: true, count: 2.5 },
+        { on: 'yes', count: 'many' },
+      ]);
+    });
+
+    describe('loading', () => {
+      beforeEach(() => {
+        api.get.mockResolvedValue({
+          data: { data: JSON.parse(JSON.stringify(serverRecord)) },
+        });
+        return store.dispatch('loadById', { id: '1' });
+      });
+
+      it('transforms the attributes of incoming records', () => {
+        const { attributes } = store.getters.byId({ id: '1' });
+        expect(attributes.count).toEqual(3);
+        expect(attributes.publishedAt).toEqual(
+          new Date('2020-01-02T03:04:05.000Z'),
+        );
+        expect(attributes.price).toEqual({ amount: '9.99' });
+      });
+
+      it('does not add defaults to incoming records', () => {
+        const { attributes } = store.getters.byId({ id: '1' });
+        expect(attributes).not.toHaveProperty('tags');
+      });
+
+      it('does not mark the transformed record as changed', () => {
+        expect(store.getters.isDirty({ id: '1' })).toEqual(false);
+      });
+
+      it('serializes the attributes when updating', () => {
+        api.patch.mockResolvedValue({ data: {} });
+        const widget = store.getters.byId({ id: '1' });
+        const updated = {
+          ...widget,
+          attributes: { ...widget.attributes, count: 4 },
+        };
+
+        return store.dispatch('update', updated).then(() => {
+          expect(api.patch).toHaveBeenCalledWith('widgets/1', {
+            data: {
+              ...serverRecord,
+              attributes: { ...serverRecord.attributes, count: 4 },
+            },
+          });
+          const { attributes } = store.getters.byId({ id: '1' });
+          expect(attributes.publishedAt).toEqual(
+            new Date('2020-01-02T03:04:05.000Z'),
+          );
+        });
+      });
+
+      it('returns empty to-many relationships from the hydrated getter', () => {
+        const widget = store.getters.hydrated({ id: '1', include: 'parts' });
+        expect(widget.parts).toEqual([]);
+      });
+    });
+
+    describe('with a transform that is not idempotent', () => {
+      const centsSchema = {
+        attributes: {
+          price: {
+            deserialize: value => value / 100,
+            serialize: value => value * 100,
+          },
+        },
+      };
+      const price = () => store.getters.byId({ id: '1' }).attributes.price;
+
+      const createStore = options => {
+        store = new Vuex.Store(
+          resourceModule({
+            name: 'widgets',
+            httpClient: api,
+            schema: centsSchema,
+            ...options,
+          }),
+        );
+        store.commit('STORE_RECORD', {
+          type: 'widgets',
+          id: '1',
+          attributes: { price: 150 },
+        });
+      };
+
+      it('deserializes records from the server once', () => {
+        createStore();
+        expect(price()).toEqual(1.5);
+      });
+
+      it('does not deserialize an updated record again', () => {
+        createStore();
+        api.patch.mockResolvedValue({ data: {} });
+        const widget = store.getters.byId({ id: '1' });
+        widget.attributes.price = 2;
+
+        return store.dispatch('update', widget).then(() => {
+          expect(api.patch).toHaveBeenCalledWith('widgets/1', {
+            data: { type: 'widgets', id: '1', attributes: { price: 200 } },
+          });
+          expect(price()).toEqual(2);
+        });
+      });
+
+      it('does not deserialize a record that is rolled back', () => {
+        createStore();
+        store.getters.byId({ id: '1' }).attributes.price = 2;
+
+        return store.dispatch('rollback', { id: '1' }).then(() => {
+          expect(price()).toEqual(1.5);
+        });
+      });
+
+      it('does not deserialize a record restored after a failed write', () => {
+        createStore({ optimistic: true });
+        api.patch.mockRejectedValue({ status: 500 });
+        const widget = store.getters.byId({ id: '1' });
+
+        return store
+          .dispatch('update', {
+            ...widget,
+            attributes: { price: 2 },
+          })
+          .catch(() => {
+            expect(price()).toEqual(1.5);
+          });
+      });
+
+      it('reads rehydrated records back to the same values', () => {
+        createStore();
+        const snapshot = JSON.parse(JSON.stringify(store.state));
+        store.commit('RESET_STATE');
+        store.commit('REHYDRATE', { records: snapshot.records });
+        expect(price()).toEqual(1.5);
+      });
+    });
+
+    describe('creating', () => {
+      beforeEach(() => {
+        api.post.mockImplementation((url, { data }) =>
+          Promise.resolve({ data: { data: { ...data, id: '2' } } }),
+        );
+        return store.dispatch('create', {
+          attributes: {
+            publishedAt: new Date('2020-01-02T03:04:05.000Z'),
+            price: { amount: '1.50' },
+          },
+        });
+      });
+
+      it('sends the defaults and serialized attributes', () => {
+        expect(api.post).toHaveBeenCalledWith('widgets', {
+          data: {
+            type: 'widgets',
+            attributes: {
+              title: 'Untitled',
+              tags: [],
+              publishedAt: '2020-01-02T03:04:05.000Z',
+              price: '1.50',
+            },
+          },
+        });
+      });
+
+      it('stores the created record with transformed attributes', () => {
+        const { attributes } = store.getters.lastCreated;
+        expect(attributes.publishedAt).toEqual(
+          new Date('2020-01-02T03:04:05.000Z'),
+        );
+        expect(attributes.price).toEqual({ amount: '1.50' });
+        expect(store.getters.lastCreated).toBe(store.getters.byId({ id: '2' }));
+      });
+    });
+
+    describe('validation', () => {
+      const validations = {
+        attributes: {
+          title: { required: true, length: { min: 3, max: 10 } },
+          code: { format: /^[A-Z]+$/ },
+          quantity: {
+            validate: (value, record) =>
+              value > record.attributes.stock && 'must not exceed the stock',
+          },
+        },
+        relationships: {
+          category: { type: 'categories', required: true },
+        },
+      };
+      const category = { data: { type: 'categories', id: '1' } };
+
+      const rejection = promise =>
+        promise.then(
+          () => {
+            throw new Error('should have rejected');
+          },
+          error => error,
+        );
+
+      beforeEach(() => {
+        store = new Vuex.Store(
+          resourceModule({
+            name: 'widgets',
+            httpClient: api,
+            schema: validations,
+          }),
+        );
+      });
+
+      it('rejects an invalid create with JSON:API errors without a request', () => {
+        return rejection(
+          store.dispatch('create', {
+            attributes: { code: 'abc', quantity: 5, stock: 2 },
+          }),
+        ).then(error => {
+          expect(api.post).not.toHaveBeenCalled();
+          expect(error.status).toEqual(422);
+          expect(
+            error.data.errors.map(({ code, detail, source }) => ({
+              code,
+              detail,
+              pointer: source.pointer,
+            })),
+          ).toEqual([
+            {
+              code: 'required',
+              detail: 'title is required',
+              pointer: '/data/attributes/title',
+            },
+            {
+              code: 'format',
+              detail: 'code is not valid',
+              pointer: '/data/attributes/code',
+            },
+            {
+              code: 'invalid',
+              detail: 'quantity must not exceed the stock',
+              pointer: '/data/attributes/quantity',
+            },
+            {
+              code: 'required',
+              detail: 'category is required',
+              pointer: '/data/relationships/category',
+            },
+          ]);
+        });
+      });
+
+      it('checks the length of attributes', () => {
+        return rejection(
+          store.dispatch('create', {
+            attributes: { title: 'A very long title' },
+            relationships: { category },
+          }),
+        ).then(error => {
+          expect(error.data.errors.map(({ detail }) => detail)).toEqual([
+            'title must have at most 10 characters',
+          ]);
+        });
+      });
+
+      it('rejects an invalid update without a request', () => {
+        return rejection(
+          store.dispatch('update', {
+            type: 'widgets',
+            id: '1',
+            attributes: { title: 'Fo' },
+            relationships: { category: { data: null } },
+          }),
+        ).then(error => {
+          expect(api.patch).not.toHaveBeenCalled();
+          expect(error.data.errors.map(({ code }) => code)).toEqual([
+            'length',
+            'required',
+          ]);
+        });
+      });
+
+      describe('of a partial update', () => {
+        beforeEach(() => {
+          store.commit('STORE_RECORD', {
+            type: 'widgets',
+            id: '1',
+            attributes: { title: 'Foo', code: 'abc', quantity: 1, stock: 2 },
+          });
+          api.patch.mockResolvedValue({ data: {} });
+        });
+
+        it('only checks the attributes that are sent', () => {
+          return store
+            .dispatch('update', {
+              type: 'widgets',
+              id: '1',
+              attributes: { quantity: 2 },
+            })
+            .then(() => {
+              expect(api.patch).toHaveBeenCalled();
+            });
+        });
+
+        it('checks custom rules against the stored record', () => {
+          return rejection(
+            store.dispatch('update', {
+              type: 'widgets',
+              id: '1',
+              attributes: { quantity: 3 },
+            }),
+          ).then(error => {
+            expect(error.data.errors.map(({ detail }) => detail)).toEqual([
+              'quantity must not exceed the stock',
+            ]);
+          });
+        });
+
+        it('rejects required fields that are blank in the stored record', () => {
+          store.commit('STORE_RECORD', {
+            type: 'widgets',
+            id: '1',
+            attributes: { title: '' },
+            relationships: { category: { data: null } },
+          });
+
+          return rejection(
+            store.dispatch('update', {
+              type: 'widgets',
+              id: '1',
+              attributes: { quantity: 1 },
+            }),
+          ).then(error => {
+            expect(api.patch).not.toHaveBeenCalled();
+            expect(error.data.errors.map(({ detail }) => detail)).toEqual([
+              'title is required',
+              'category is required',
+            ]);
+          });
+        });
+      });
+
+      it('sends valid records', () => {
+        api.post.mockResolvedValue({
+          data: { data: { type: 'widgets', id: '1' } },
+        });
+
+        return store
+          .dispatch('create', {
+            attributes: { title: 'Foo', code: 'ABC' },
+            relationships: { category },
+          })
+          .then(() => {
+            expect(api.post).toHaveBeenCalled();
+          });
+      });
+    });
+
+    it('rejects unknown attribute types', () => {
+      expect(() =>
+        resourceModule({
+          name: 'widgets',
+          httpClient: api,
+          schema: { attributes: { title: { type: 'text' } } },
+        }),
+      ).toThrow('Unknown type "text" for attribute "title"');
+    });
+  });
+
+  describe('write errors', () => {
+    const record = {
+      type: 'widgets',
+      id: '1',
+      attributes: { title: '' },
+    };
+    const validationResponse = {
+      status: 422,
+      data: {
+        errors: [
+          {
+            status: '422',
+            title: 'Invalid Attribute',
+            detail: 'Title must not be blank',
+            source: { pointer: '/data/attributes/title' },
+          },
+          {
+            status: '422',
+            detail: 'Sort is not supported',
+            source: { parameter: 'sort' },
+          },
+        ],
+      },
+    };
+
+    describe('from the server', () => {
+      beforeEach(() => {
+        api.patch.mockRejectedValue({ response: validationResponse });
+        return store.dispatch('update', record).catch(() => {});
+      });
+
+      it('keeps the normalized errors for the record and action', () => {
+        const error = store.getters.writeError({ id: '1' });
+        expect(error.action).toEqual('update');
+        expect(error.network).toEqual(false);
+        expect(error.status).toEqual(422);
+        expect(error.errors[1]).toEqual({
+          status: '422',
+          code: null,
+          title: null,
+          detail: 'Sort is not supported',
+          pointer: null,
+          parameter: 'sort',
+          meta: null,
+        });
+      });
+
+      it('looks errors up by pointer', () => {
+        const errors = store.getters.errorsFor({
+          id: 1,
+          pointer: '/data/attributes/title',
+        });
+        expect(errors.map(({ detail }) => detail)).toEqual([
+          'Title must not be blank',
+        ]);
+      });
+
+      it('has no errors for other records or actions', () => {
+        expect(store.getters.writeError({ id: '2' })).toEqual(null);
+        expect(store.getters.errorsFor({ id: '1', action: 'delete' })).toEqual(
+          [],
+        );
+      });
+
+      it('clears the error when the write is retried', () => {
+        api.patch.mockResolvedValue({ data: {} });
+
+        return store.dispatch('update', record).then(() => {
+          expect(store.getters.writeError({ id: '1' })).toEqual(null);
+        });
+      });
+
+      it('clears errors on request', () => {
+        store.dispatch('clearWriteErrors', { id: '1' });
+        expect(store.getters.writeErrors).toEqual([]);
+      });
+    });
+
+    it('tells network failures apart from HTTP errors', () => {
+      api.delete.mockRejectedValue(new Error('Network Error'));
+
+      return store
+        .dispatch('delete', record)
+        .catch(() => {})
+        .then(() => {
+          const error = store.getters.writeError({ id: '1' });
+          expect(error.action).toEqual('delete');
+          expect(error.network).toEqual(true);
+          expect(error.status).toEqual(null);
+          expect(error.errors).toEqual([]);
+        });
+    });
+
+    it('keeps create errors without an ID', () => {
+      api.post.mockRejectedValue({ response: validationResponse });
+
+      return store
+        .dispatch('create', { attributes: { title: '' } })
+        .catch(() => {})
+        .then(() => {
+          expect(
+            store.getters.errorsFor({
+              action: 'create',
+              pointer: '/data/attributes/title',
+            }).length,
+          ).toEqual(1);
+        });
+    });
+
+    it('keeps client-side validation errors the same way', () => {
+      store = new Vuex.Store(
+        resourceModule({
+          name: 'widgets',
+          httpClient: api,
+          schema: { attributes: { title: { required: true } } },
+        }),
+      );
+
+      return store
+        .dispatch('update', record)
+        .catch(() => {})
+        .then(() => {
+          const errors = store.getters.errorsFor({
+            id: '1',
+            pointer: '/data/attributes/title',
+          });
+          expect(errors.map(({ detail }) => detail)).toEqual([
+            'title is required',
+          ]);
+          expect(api.patch).not.toHaveBeenCalled();
+        });
+    });
+  });
+
+  describe('optimistic writes', () => {
+    beforeEach(() => {
+      store = new Vuex.Store(
+        resourceModule({
+          name: 'widgets',
+          httpClient: api,
+          optimistic: true,
+        }),
+      );
+
+      store.commit('REPLACE_ALL_RECORDS', [
+        {
+          type: 'widgets',
+          id: '27',
+          attributes: {
+            title: 'Foo',
+          },
+        },
+        {
+          type: 'widgets',
+          id: '42',
+          attributes: {
+            title: 'Bar',
+          },
+        },
+      ]);
+    });
+
+    describe('creating', () => {
+      const widget = {
+        attributes: {
+          title: 'Baz',
+        },
+      };
+
+      it('adds a temporary record before the server responds', () => {
+        api.post.mockReturnValue(new Promise(() => {}));
+
+        store.dispatch('create', widget);
+
+        const records = store.getters.all;
+        expect(records.length).toEqual(3);
+        expect(records[2].type).toEqual('widgets');
+        expect(records[2].id).toMatch(/^temp-/);
+        expect(records[2].attributes.title).toEqual('Baz');
+      });
+
+      it('replaces the temporary record with the server record', () => {
+        api.post.mockResolvedValue({
+          data: {
+            data: {
+              type: 'widgets',
+              id: '99',
+              attributes: widget.attributes,
+            },
+          },
+        });
+
+        return store.dispatch('create', widget).then(() => {
+          const records = store.getters.all;
+          expect(records.map(r => r.id)).toEqual(['27', '42', '99']);
+          expect(store.getters.lastCreated.id).toEqual('99');
+        });
+      });
+
+      it('removes the temporary record when the server rejects', () => {
+        const error = { dummy: 'error' };
+        api.post.mockRejectedValue(error);
+
+        return store.dispatch('create', widget).catch(e => {
+          expect(e).toEqual(error);
+          expect(store.getters.all.map(r => r.id)).toEqual(['27', '42']);
+        });
+      });
+    });
+
+    describe('updating', () => {
+      const updatedRecord = {
+        type: 'widgets',
+        id: '42',
+        attributes: {
+          title: 'Updated',
+        },
+      };
+
+      it('stores the change before the server responds', () => {
+        api.patch.mockReturnValue(new Promise(() => {}));
+
+        store.dispatch('update', updatedRecord);
+
+        const record = store.getters.byId({ id: '42' });
+        expect(record.attributes.title).toEqual('Updated');
+      });
+
+      it('restores the previous record when the server rejects', () => {
+        const error = { dummy: 'error' };
+        api.patch.mockRejectedValue(error);
+
+        return store.dispatch('update', updatedRecord).catch(e => {
+          expect(e).toEqual(error);
+          const record = store.getters.byId({ id: '42' });
+          expect(record.attributes.title).toEqual('Bar');
+        });
+      });
+
+      it('restores the confirmed record when the stored one was edited', () => {
+        api.patch.mockRejectedValue({ dummy: 'error' });
+        const widget = store.getters.byId({ id: '42' });
+        widget.attributes.title = 'Edited';
+
+        return store.dispatch('update', widget).catch(() => {
+          const record = store.getters.byId({ id: '42' });
+          expect(record.attributes.title).toEqual('Bar');
+          expect(store.getters.isDirty({ id: '42' })).toEqual(false);
         });
+      });
+
+      it('restores the related index when the server rejects', () => {
+        const oldRestaurant = { type: 'restaurants', id: '2' };
+        const newRestaurant = { type: 'restaurants', id: '3' };
+        const dish = {
+          type: 'dishes',
+          id: '1',
+          relationships: {
+            restaurant: { data: oldRestaurant },
+          },
+        };
+
         const multiStore = new Vuex.Store({
-          modules,
+          modules: {
+            dishes: resourceModule({
+              name: 'dishes',
+              httpClient: api,
+              optimistic: true,
+            }),
+            restaurants: resourceModule({
+              name: 'restaurants',
+              httpClient: api,
+            }),
+          },
         });
+        multiStore.commit('dishes/REPLACE_ALL_RECORDS', [dish]);
         multiStore.commit('restaurants/REPLACE_ALL_RECORDS', [
           oldRestaurant,
           newRestaurant,
         ]);
+        multiStore.dispatch('restaurants/storeRelated', {
+          params: { parent: dish, relationship: 'restaurant' },
+          relatedIds: '2',
+        });
 
-        const dishWithUpdatedRelationship = {
+        const related = () =>
+          multiStore.getters['restaurants/related']({
+            parent: dish,
+            relationship: 'restaurant',
+          });
+
+        let rejectUpdate;
+        api.patch.mockReturnValue(
+          new Promise((resolve, reject) => (rejectUpdate = reject)),
+        );
+
+        const response = multiStore.dispatch('dishes/update', {
           ...dish,
           relationships: {
-            restaurant: {
-              data: newRestaurant,
-            },
+            restaurant: { data: newRestaurant },
           },
-        };
+        });
 
-        return multiStore
-          .dispatch('dishes/loadById', { id: '1' })
-          .then(() =>
-            multiStore.dispatch('dishes/update', dishWithUpdatedRelationship),
-          )
-          .then(() => {
-            const records = multiStore.getters['restaurants/related']({
-              parent: dish,
-              relationship: 'restaurant',
-            });
-            expect(records).toEqual(newRestaurant);
-          });
-      });
+        expect(related()).toEqual(newRestaurant);
 
-      it('updates related to-many records', () => {
-        const keepDish = {
-          type: 'dishes',
-          id: '1',
-        };
-        const oldDish = {
-          type: 'dishes',
-          id: '2',
-        };
-        const newDish = {
-          type: 'dishes',
-          id: '3',
-        };
-        const restaurant = {
-          type: 'restaurants',
-          id: '1',
-          relationships: {
-            dishes: {
-              data: [keepDish, oldDish],
-            },
-          },
-        };
+        rejectUpdate({ dummy: 'error' });
 
-        api.get.mockResolvedValue({
-          data: {
-            data: [restaurant],
-            included: [keepDish, oldDish],
-          },
-        });
-        const modules = mapResourceModules({
-          names: ['restaurants', 'dishes'],
-          httpClient: api,
+        return response.catch(() => {
+          expect(related()).toEqual(oldRestaurant);
+          const storedDish = multiStore.getters['dishes/byId']({ id: '1' });
+          expect(storedDish.relationships.restaurant.data).toEqual(
+            oldRestaurant,
+          );
         });
-        const multiStore = new Vuex.Store({
-          modules,
+      });
+    });
+
+    describe('deleting', () => {
+      const record = { type: 'widgets', id: '27' };
+
+      it('removes the record before the server responds', () => {
+        api.delete.mockReturnValue(new Promise(() => {}));
+
+        store.dispatch('delete', record);
+
+        expect(store.getters.all.map(r => r.id)).toEqual(['42']);
+      });
+
+      it('puts the record back in place when the server rejects', () => {
+        const error = { dummy: 'error' };
+        api.delete.mockRejectedValue(error);
+
+        return store.dispatch('delete', record).catch(e => {
+          expect(e).toEqual(error);
+          expect(store.getters.all.map(r => r.id)).toEqual(['27', '42']);
         });
-        multiStore.commit('dishes/REPLACE_ALL_RECORDS', [
-          keepDish,
-          oldDish,
-          newDish,
-        ]);
+      });
 
-        const restaurantWithUpdatedRelationship = {
-          ...restaurant,
-          relationships: {
-            dishes: {
-              data: [keepDish, newDish],
-            },
-          },
-        };
+      it('keeps tracking changes to a record that was put back', () => {
+        api.delete.mockRejectedValue({ dummy: 'error' });
 
-        return multiStore
-          .dispatch('restaurants/loadById', { id: '1' })
-          .then(
-            multiStore.dispatch(
-              'restaurants/update',
-              restaurantWithUpdatedRelationship,
-            ),
-          )
+        return store
+          .dispatch('delete', record)
+          .catch(() => {
+            expect(
+              store.getters.hasFields({ id: '27', fields: ['title'] }),
+            ).toEqual(true);
+            store.getters.byId({ id: '27' }).attributes.title = 'Changed';
+            expect(store.getters.isDirty({ id: '27' })).toEqual(true);
+            return store.dispatch('rollback', { id: '27' });
+          })
           .then(() => {
-            const records = multiStore.getters['dishes/related']({
-              parent: restaurant,
-            });
-            expect(records).toEqual([keepDish, newDish]);
+            expect(store.getters.byId({ id: '27' }).attributes.title).toEqual(
+              'Foo',
+            );
           });
       });
 
-      it('updates related to-many empty records', () => {
-        const post = {
-          type: 'posts',
-          id: '1',
+      it('keeps tracking changes when records are stored in the meantime', () => {
+        let rejectDelete;
+        api.delete.mockReturnValue(
+          new Promise((resolve, reject) => {
+            rejectDelete = reject;
+          }),
+        );
 
-          relationships: {
-            // ancestor
-            author: {
-              data: {
-                type: 'people',
-                id: '1',
-              },
-            },
+        const response = store.dispatch('delete', record);
+        store.commit('STORE_RECORD', { type: 'widgets', id: '3' });
+        rejectDelete({ dummy: 'error' });
+
+        return response.catch(() => {
+          store.getters.byId({ id: '27' }).attributes.title = 'Changed';
+          expect(store.getters.isDirty({ id: '27' })).toEqual(true);
+          expect(store.state.pristine.map(({ id }) => id).sort()).toEqual([
+            '27',
+            '3',
+            '42',
+          ]);
+        });
+      });
+    });
+  });
 
-            // descendants
-            comments: {
-              data: [
-                {
-                  type: 'comments',
-                  id: '1',
-                },
-              ],
-            },
-          },
-        };
+  describe('offline write queue', () => {
+    const networkError = new Error('Network Error');
+    const serverError = { status: 422, data: { errors: [] } };
 
-        const included = [
-          {
-            type: 'people',
-            id: '1',
-          },
-          {
-            type: 'comments',
-            id: '1',
-          },
-        ];
+    beforeEach(() => {
+      store = new Vuex.Store(
+        resourceModule({
+          name: 'widgets',
+          httpClient: api,
+          queueOfflineWrites: true,
+        }),
+      );
 
-        const store = new Vuex.Store({
-          modules: {
-            ...mapResourceModules({
-              names: ['posts', 'people', 'comments'],
-              httpClient: api,
-            }),
+      store.commit('REPLACE_ALL_RECORDS', [
+        {
+          type: 'widgets',
+          id: '27',
+          attributes: {
+            title: 'Foo',
           },
-        });
+        },
+      ]);
+    });
 
-        api.get.mockResolvedValue({
-          data: {
-            included,
-            data: post,
-          },
-        });
+    it('rejects writes the server responded to with an error', () => {
+      api.patch.mockRejectedValue({ response: serverError });
 
-        return store.dispatch('posts/loadById', { id: '1' }).then(() => {
-          const author = store.getters['people/related']({
-            parent: post,
-            relationship: 'author',
-          });
+      return expect(
+        store.dispatch('update', { type: 'widgets', id: '27' }),
+      ).rejects.toEqual(serverError);
+    });
 
-          // check ancestor
-          expect(author).toEqual({
-            id: '1',
-            type: 'people',
-          });
+    describe('when the network is down', () => {
+      beforeEach(() => {
+        api.post.mockRejectedValue(networkError);
+        api.patch.mockRejectedValue(networkError);
+        api.delete.mockRejectedValue(networkError);
 
-          const comments = store.getters['comments/related']({
-            parent: post,
-          });
+        return store
+          .dispatch('create', { attributes: { title: 'New' } })
+          .then(() => {
+            const { id } = store.getters.lastCreated;
+            return store.dispatch('update', {
+              type: 'widgets',
+              id,
+              attributes: { title: 'Newer' },
+            });
+          })
+          .then(() => store.dispatch('delete', { id: '27' }));
+      });
 
-          // check descendants
-          expect(comments).toContainEqual({
-            id: '1',
-            type: 'comments',
+      it('applies the writes locally', () => {
+        const records = store.getters.all;
+        expect(records.length).toEqual(1);
+        expect(records[0].id).toMatch(/^temp-/);
+        expect(records[0].attributes.title).toEqual('Newer');
+      });
+
+      it('exposes the queued writes in order', () => {
+        const writes = store.getters.pendingWrites;
+        expect(writes.map(write => write.action)).toEqual([
+          'create',
+          'update',
+          'delete',
+        ]);
+        expect(writes[2].record).toEqual({ type: 'widgets', id: '27' });
+      });
+
+      it('queues later writes without sending them', () => {
+        api.patch.mockClear();
+        return store
+          .dispatch('update', { type: 'widgets', id: '42' })
+          .then(() => {
+            expect(api.patch).not.toHaveBeenCalled();
+            expect(store.getters.pendingWrites.length).toEqual(4);
           });
+      });
 
-          // the new post will not have relationships
-          const newPost = {
-            type: 'posts',
-            id: '1',
-            relationships: {
-              comments: {
-                data: [],
-              },
-              author: {
-                data: null,
+      describe('replaying when the network is back', () => {
+        beforeEach(() => {
+          api.post.mockResolvedValue({
+            data: {
+              data: {
+                type: 'widgets',
+                id: '99',
+                attributes: { title: 'New' },
               },
             },
-          };
+          });
+          api.patch.mockResolvedValue({ data: {} });
+          api.delete.mockResolvedValue();
 
-          api.get.mockResolvedValue({
+          return store.dispatch('replayQueue');
+        });
+
+        it('sends the writes in order', () => {
+          expect(api.post).toHaveBeenLastCalledWith('widgets', {
+            data: { type: 'widgets', attributes: { title: 'New' } },
+          });
+          expect(api.patch).toHaveBeenLastCalledWith('widgets/99', {
             data: {
-              data: newPost,
+              type: 'widgets',
+              id: '99',
+              attributes: { title: 'Newer' },
             },
           });
+          expect(api.delete).toHaveBeenLastCalledWith('widgets/27');
+        });
 
-          return store.dispatch('posts/update', newPost).then(() => {
-            const author = store.getters['people/related']({
-              parent: post,
-              relationship: 'author',
-            });
-
-            // the new post does not have the author
-            expect(author).toEqual(undefined);
+        it('replaces the temporary record with the server record', () => {
+          const records = store.getters.all;
+          expect(records.map(r => r.id)).toEqual(['99']);
+          expect(records[0].attributes.title).toEqual('Newer');
+          expect(store.getters.lastCreated.id).toEqual('99');
+        });
 
-            const comments = store.getters['comments/related']({
-              parent: post,
-            });
+        it('empties the queue', () => {
+          expect(store.getters.pendingWrites).toEqual([]);
+        });
+      });
 
-            // the new post does not have comments
-            expect(comments).toEqual(undefined);
-          });
+      it('keeps writes queued while the network is still down', () => {
+        return store.dispatch('replayQueue').then(() => {
+          expect(store.getters.pendingWrites.length).toEqual(3);
+          expect(store.getters.failedWrites).toEqual([]);
         });
       });
-    });
 
-    describe('error', () => {
-      const error = { dummy: 'error' };
+      describe('when the server rejects a write', () => {
+        beforeEach(() => {
+          api.post.mockRejectedValue({ response: serverError });
+          api.patch.mockResolvedValue({ data: {} });
+          api.delete.mockResolvedValue();
 
-      let response;
+          return store.dispatch('replayQueue');
+        });
 
-      beforeEach(() => {
-        api.patch.mockRejectedValue(error);
-        response = store.dispatch('update', record);
+        it('moves the write to the failed writes and goes on', () => {
+          const failed = store.getters.failedWrites;
+          expect(failed.length).toEqual(1);
+          expect(failed[0].action).toEqual('create');
+          expect(failed[0].error).toEqual(serverError);
+          expect(store.getters.pendingWrites).toEqual([]);
+          expect(api.delete).toHaveBeenCalledWith('widgets/27');
+        });
+
+        it('keeps the error for the temporary ID of the record', () => {
+          const [failed] = store.getters.failedWrites;
+          const error = store.getters.writeError({ id: failed.record.id });
+          expect(error.action).toEqual('create');
+          expect(error.network).toEqual(false);
+        });
+
+        it('allows clearing the failed writes', () => {
+          return store.dispatch('clearFailedWrites').then(() => {
+            expect(store.getters.failedWrites).toEqual([]);
+          });
+        });
       });
+    });
 
-      it('rejects with the error', () => {
-        expect(response).rejects.toEqual(error);
+    it('remaps temporary IDs in queued writes of other modules', () => {
+      const multiStore = new Vuex.Store({
+        modules: {
+          posts: resourceModule({
+            name: 'posts',
+            httpClient: api,
+            queueOfflineWrites: true,
+          }),
+          comments: resourceModule({
+            name: 'comments',
+            httpClient: api,
+            queueOfflineWrites: true,
+          }),
+        },
       });
+      api.post.mockRejectedValue(networkError);
+
+      return multiStore
+        .dispatch('posts/create', { attributes: { title: 'Post' } })
+        .then(() => {
+          const post = multiStore.getters['posts/lastCreated'];
+          return multiStore.dispatch('comments/create', {
+            attributes: { text: 'Comment' },
+            relationships: {
+              post: { data: { type: 'posts', id: post.id } },
+            },
+          });
+        })
+        .then(() => {
+          api.post.mockResolvedValue({
+            data: { data: { type: 'posts', id: '5' } },
+          });
+          return multiStore.dispatch('posts/replayQueue');
+        })
+        .then(() => {
+          const [write] = multiStore.getters['comments/pendingWrites'];
+          expect(write.record.relationships.post.data).toEqual({
+            type: 'posts',
+            id: '5',
+          });
+        });
     });
   });
 
-  describe('deleting', () => {
+  describe('dirty tracking', () => {
     const record = {
-      type: 'widget',
+      type: 'widgets',
       id: '42',
       attributes: {
-        title: 'Baz',
+        title: 'Foo',
+        color: 'red',
+      },
+      relationships: {
+        category: {
+          data: { type: 'categories', id: '1' },
+        },
       },
     };
 
-    describe('success', () => {
-      const allRecords = [
-        record,
-        {
-          type: 'widget',
-          id: '27',
-          attributes: {
-            title: 'Other',
-          },
-        },
-      ];
+    beforeEach(() => {
+      store = new Vuex.Store({
+        modules: mapResourceModules({
+          names: ['widgets', 'categories'],
+          httpClient: api,
+        }),
+      });
+      api.get.mockImplementation(() =>
+        Promise.resolve({ data: { data: JSON.parse(JSON.stringify(record)) } }),
+      );
+      return store.dispatch('widgets/loadById', { id: '42' });
+    });
+
+    it('is not dirty right after loading', () => {
+      expect(store.getters['widgets/isDirty']({ id: '42' })).toEqual(false);
+      expect(store.getters['widgets/changedAttributes']({ id: '42' })).toEqual(
+        {},
+      );
+    });
 
+    describe('after changing the stored record', () => {
       beforeEach(() => {
-        store.commit('REPLACE_ALL_RECORDS', allRecords);
+        const widget = store.getters['widgets/byId']({ id: '42' });
+        widget.attributes.title = 'Bar';
+        widget.relationships.category = {
+          data: { type: 'categories', id: '2' },
+        };
+      });
 
-        api.delete.mockResolvedValue();
+      it('is dirty', () => {
+        expect(store.getters['widgets/isDirty']({ id: '42' })).toEqual(true);
+      });
 
-        return store.dispatch('delete', record);
+      it('exposes the changed attributes', () => {
+        expect(
+          store.getters['widgets/changedAttributes']({ id: '42' }),
+        ).toEqual({
+          title: { previous: 'Foo', current: 'Bar' },
+        });
       });
 
-      it('sends the delete request to the server', () => {
-        expect(api.delete).toHaveBeenCalledWith(`widgets/${record.id}`);
+      it('exposes the changed relationships', () => {
+        expect(
+          store.getters['widgets/changedRelationships']({ id: '42' }),
+        ).toEqual({
+          category: {
+            previous: { data: { type: 'categories', id: '1' } },
+            current: { data: { type: 'categories', id: '2' } },
+          },
+        });
       });
 
-      it('removes the record from the list', () => {
-        const records = store.getters.all;
-        expect(records.length).toEqual(allRecords.length - 1);
+      it('restores the last loaded version on rollback', () => {
+        return store.dispatch('widgets/rollback', { id: '42' }).then(() => {
+          expect(store.getters['widgets/byId']({ id: '42' })).toEqual(record);
+          expect(store.getters['widgets/isDirty']({ id: '42' })).toEqual(false);
+        });
       });
-    });
 
-    describe('error', () => {
-      const error = { dummy: 'error' };
+      it('is no longer dirty once the update is saved', () => {
+        api.patch.mockResolvedValue({ data: {} });
+        const widget = store.getters['widgets/byId']({ id: '42' });
 
-      let response;
+        return store
+          .dispatch('widgets/update', widget)
+          .then(() => {
+            expect(store.getters['widgets/isDirty']({ id: '42' })).toEqual(
+              false,
+            );
+            return store.dispatch('widgets/rollback', { id: '42' });
+          })
+          .then(() => {
+            const title = store.getters['widgets/byId']({ id: '42' }).attributes
+              .title;
+            expect(title).toEqual('Bar');
+          });
+      });
+    });
+
+    it('does nothing on rollback for a record that was never loaded', () => {
+      return store.dispatch('widgets/rollback', { id: '99' }).then(() => {
+        expect(store.getters['widgets/all'].length).toEqual(1);
+        expect(store.getters['widgets/isDirty']({ id: '99' })).toEqual(false);
+      });
+    });
 
+    describe('with optimistic writes', () => {
       beforeEach(() => {
-        api.delete.mockRejectedValue(error);
-        response = store.dispatch('delete', record);
+        store = new Vuex.Store({
+          modules: {
+            widgets: resourceModule({
+              name: 'widgets',
+              httpClient: api,
+              optimistic: true,
+            }),
+            categories: resourceModule({
+              name: 'categories',
+              httpClient: api,
+            }),
+          },
+        });
+        return store.dispatch('widgets/loadById', { id: '42' });
       });
 
-      it('rejects with the error', () => {
-        expect(response).rejects.toEqual(error);
+      it('keeps the change dirty until the server confirms it', () => {
+        let resolveUpdate;
+        api.patch.mockReturnValue(
+          new Promise(resolve => (resolveUpdate = resolve)),
+        );
+
+        const response = store.dispatch('widgets/update', {
+          ...record,
+          attributes: { ...record.attributes, title: 'Bar' },
+        });
+        expect(store.getters['widgets/isDirty']({ id: '42' })).toEqual(true);
+
+        resolveUpdate({ data: {} });
+        return response.then(() => {
+          expect(store.getters['widgets/isDirty']({ id: '42' })).toEqual(false);
+        });
       });
     });
   });
@@ -2431,3 +5733,351 @@ describe('resourceModule()', function () {
     });
   });
 });
+
+describe('documentModule()', function () {
+  let store;
+  let api;
+
+  beforeEach(() => {
+    api = {
+      get: jest.fn(),
+      post: jest.fn(),
+      patch: jest.fn(),
+      delete: jest.fn(),
+    };
+
+    store = new Vuex.Store({
+      modules: {
+        ...mapResourceModules({
+          names: ['orders', 'line-items'],
+          httpClient: api,
+        }),
+        document: documentModule({ httpClient: api }),
+      },
+    });
+  });
+
+  describe('ingestDocument', () => {
+    beforeEach(() => {
+      store.commit('line-items/STORE_RECORDS', [
+        { type: 'line-items', id: '5' },
+      ]);
+      return store.dispatch('ingestDocument', {
+        data: {
+          type: 'orders',
+          id: '1',
+          attributes: { reference: 'A1' },
+          relationships: {
+            'line-items': { data: [{ type: 'line-items', id: '6' }] },
+          },
+        },
+        included: [
+          { type: 'line-items', id: '6', attributes: { quantity: 2 } },
+        ],
+        meta: { deleted: [{ type: 'line-items', id: '5' }] },
+      });
+    });
+
+    it('stores each record in its module', () => {
+      expect(
+        store.getters['orders/byId']({ id: '1' }).attributes.reference,
+      ).toEqual('A1');
+      expect(
+        store.getters['line-items/byId']({ id: '6' }).attributes.quantity,
+      ).toEqual(2);
+    });
+
+    it('updates the related records', () => {
+      const related = store.getters['line-items/related']({
+        parent: { type: 'orders', id: '1' },
+      });
+      expect(related.map(({ id }) => id)).toEqual(['6']);
+    });
+
+    it('removes the records listed as deleted', () => {
+      expect(store.getters['line-items/byId']({ id: '5' })).toEqual(undefined);
+    });
+
+    it('skips types without a module', () => {
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation();
+
+      return store
+        .dispatch('ingestDocument', {
+          data: { type: 'customers', id: '1' },
+          meta: { deleted: [{ type: 'unknown', id: '1' }] },
+        })
+        .then(() => {
+          const errors = errorSpy.mock.calls.length;
+          errorSpy.mockRestore();
+          expect(errors).toEqual(0);
+          expect(store.hasModule('customers')).toEqual(false);
+        });
+    });
+
+    it('registers modules for new types when set to register', () => {
+      store = new Vuex.Store({
+        modules: {
+          document: documentModule({
+            httpClient: api,
+            unknownTypes: 'register',
+          }),
+        },
+      });
+
+      return store
+        .dispatch('ingestDocument', {
+          data: { type: 'customers', id: '1' },
+        })
+        .then(() => {
+          expect(store.getters['customers/byId']({ id: '1' })).toEqual({
+            type: 'customers',
+            id: '1',
+          });
+        });
+    });
+  });
+
+  describe('atomic', () => {
+    const operations = [
+      {
+        op: 'add',
+        data: {
+          type: 'orders',
+          lid: 'order',
+          attributes: { reference: 'A1' },
+        },
+      },
+      {
+        op: 'add',
+        data: {
+          type: 'line-items',
+          attributes: { quantity: 2 },
+          relationships: {
+            order: { data: { type: 'orders', lid: 'order' } },
+          },
+        },
+      },
+      {
+        op: 'remove',
+        ref: { type: 'line-items', id: '5' },
+      },
+    ];
+    const order = {
+      type: 'orders',
+      id: '1',
+      attributes: { reference: 'A1' },
+    };
+    const lineItem = {
+      type: 'line-items',
+      id: '7',
+      attributes: { quantity: 2 },
+      relationships: {
+        order: { data: { type: 'orders', id: '1' } },
+      },
+    };
+
+    describe('success', () => {
+      let results;
+
+      beforeEach(() => {
+        store.commit('line-items/STORE_RECORD', {
+          type: 'line-items',
+          id: '5',
+        });
+        api.post.mockResolvedValue({
+          data: {
+            'atomic:results': [{ data: order }, { data: lineItem }, {}],
+          },
+        });
+
+        return store.dispatch('atomic', { operations }).then(response => {
+          results = response;
+        });
+      });
+
+      it('sends all operations in one request with the extension media type', () => {
+        const mediaType =
+          'application/vnd.api+json; ext="https://jsonapi.org/ext/atomic"';
+        expect(api.post).toHaveBeenCalledTimes(1);
+        expect(api.post).toHaveBeenCalledWith(
+          'operations',
+          { 'atomic:operations': operations },
+          { headers: { 'Content-Type': mediaType, Accept: mediaType } },
+        );
+      });
+
+      it('stores the returned records in their modules', () => {
+        expect(store.getters['orders/byId']({ id: '1' })).toEqual(order);
+        expect(store.getters['line-items/byId']({ id: '7' })).toEqual(lineItem);
+      });
+
+      it('stores the relationships of the returned records', () => {
+        const parent = { type: 'line-items', id: '7' };
+        expect(
+          store.getters['orders/related']({ parent, relationship: 'order' }),
+        ).toEqual(order);
+      });
+
+      it('removes the records that were removed', () => {
+        expect(store.getters['line-items/byId']({ id: '5' })).toEqual(
+          undefined,
+        );
+      });
+
+      it('resolves with the results', () => {
+        expect(results).toEqual([{ data: order }, { data: lineItem }, {}]);
+      });
+    });
+
+    describe('results without data', () => {
+      beforeEach(() => {
+        store.commit('orders/STORE_RECORD', {
+          ...order,
+          attributes: { reference: 'A1', notes: 'none' },
+        });
+        api.post.mockResolvedValue({
+          data: { 'atomic:results': [{}, {}] },
+        });
+
+        return store.dispatch('atomic', {
+          operations: [
+            {
+              op: 'update',
+              data: {
+                type: 'orders',
+                id: '1',
+                attributes: { reference: 'B2' },
+              },
+            },
+            { op: 'add', data: lineItem },
+          ],
+        });
+      });
+
+      it('stores the records the operations sent', () => {
+        expect(store.getters['orders/byId']({ id: '1' }).attributes).toEqual({
+          reference: 'B2',
+          notes: 'none',
+        });
+        expect(store.getters['line-items/byId']({ id: '7' })).toEqual(lineItem);
+      });
+
+      it('stores the relationships the operations sent', () => {
+        const parent = { type: 'line-items', id: '7' };
+        expect(
+          store.getters['orders/related']({ parent, relationship: 'order' }).id,
+        ).toEqual('1');
+      });
+    });
+
+    describe('relationship operations', () => {
+      const lineItems = () =>
+        store.getters['line-items/related']({
+          parent: { type: 'orders', id: '1' },
+        });
+
+      beforeEach(() => {
+        store.commit('orders/STORE_RECORD', {
+          ...order,
+          relationships: {
+            'line-items': { data: [{ type: 'line-items', id: '5' }] },
+          },
+        });
+        store.commit('line-items/STORE_RECORDS', [
+          { type: 'line-items', id: '5' },
+          { type: 'line-items', id: '6' },
+        ]);
+      });
+
+      it('adds the linkage the operation sent', () => {
+        api.post.mockResolvedValue({ data: { 'atomic:results': [{}] } });
+
+        return store
+          .dispatch('atomic', {
+            operations: [
+              {
+                op: 'add',
+                ref: { type: 'orders', id: '1', relationship: 'line-items' },
+                data: [{ type: 'line-items', id: '6' }],
+              },
+            ],
+          })
+          .then(() => {
+            const record = store.getters['orders/byId']({ id: '1' });
+            expect(record.relationships['line-items'].data).toEqual([
+              { type: 'line-items', id: '5' },
+              { type: 'line-items', id: '6' },
+            ]);
+            expect(lineItems().map(({ id }) => id)).toEqual(['5', '6']);
+          });
+      });
+
+      it('removes the linkage the operation sent', () => {
+        api.post.mockResolvedValue({ data: { 'atomic:results': [{}] } });
+
+        return store
+          .dispatch('atomic', {
+            operations: [
+              {
+                op: 'remove',
+                ref: { type: 'orders', id: '1', relationship: 'line-items' },
+                data: [{ type: 'line-items', id: '5' }],
+              },
+            ],
+          })
+          .then(() => {
+            expect(store.getters['line-items/byId']({ id: '5' })).toBeTruthy();
+            expect(lineItems()).toEqual([]);
+          });
+      });
+
+      it('stores the linkage a result returns without storing it as a record', () => {
+        api.post.mockResolvedValue({
+          data: {
+            'atomic:results': [{ data: { type: 'orders', id: '2' } }],
+          },
+        });
+
+        return store
+          .dispatch('atomic', {
+            operations: [
+              {
+                op: 'update',
+                ref: { type: 'line-items', id: '6', relationship: 'order' },
+                data: { type: 'orders', id: '2' },
+              },
+            ],
+          })
+          .then(() => {
+            const record = store.getters['line-items/byId']({ id: '6' });
+            expect(record.relationships.order.data).toEqual({
+              type: 'orders',
+              id: '2',
+            });
+            expect(store.getters['orders/byId']({ id: '2' })).toBeUndefined();
+          });
+      });
+    });
+
+    describe('error', () => {
+      const error = {
+        status: 422,
+        data: { errors: [{ source: { pointer: '/atomic:operations/1' } }] },
+      };
+
+      it('rejects with the response without changing the store', () => {
+        api.post.mockRejectedValue({ response: error });
+
+        return store.dispatch('atomic', { operations }).then(
+          () => {
+            throw new Error('should have rejected');
+          },
+          rejection => {
+            expect(rejection).toEqual(error);
+            expect(store.getters['orders/all']).toEqual([]);
+          },
+        );
+      });
+    });
+  });
+});